@@ -0,0 +1,1382 @@
+/**
+ * CBAE - Library API
+ * --------
+ * Everything the `cbae` command line tool does, as functions that return Promises
+ * The CLI (cbae.js) is a wrapper over this, it only parses options and prints
+ *
+ * e.g.
+ *		import {encodeCD} from 'cbae';
+ *		let events = new EventEmitter();
+ *		events.on('track', e => console.log(`${e.done}/${e.total}`));
+ *		let r = await encodeCD('c:\\games\\quake.cue', {enc:'OPUS:96', out:'c:\\enc', events});
+ *
+ * - Errors are thrown as {String}. When they start with `+` the CD was skipped, not failed
+ *   e.g. "+CD has no Audio Tracks"
+ *
+ * == Events, emitted on `options.events` (any EventEmitter)
+ *	dat   : {cd, match}		; CD was checked against `options.dat`, `match` is from `datfile.matchCD()`
+ *	meta  : {cd, match, error}	; CD was looked up in `options.meta`, `match` is null when not found
+ *	start : {cd, output, total}	; Work on the tracks starts. `output` is the new folder (not for inspect/verify)
+ *			encodeCD() adds {codec}, the description of `enc`
+ *	retry : {cd, size, target, codec}	; encodeCD() with `size`, the new CD was too big. It will encode again with `codec`
+ *	track : {cd, index, track, done, total}	; A track is complete, `index` is 0 start
+ *			inspectCD() adds {hash, error}, verifyCD() adds {status, hash}
+ */
+
+import * as FS from 'node:fs';
+import PATH from 'node:path';
+import { cpus } from 'node:os';
+import { Readable, Transform } from 'node:stream';
+// --
+import L from 'jlib/util/Log';
+import * as TL from 'jlib/util/Tools';
+import * as TFS from 'jlib/util/FsTools';
+import {Proc2} from 'jlib/util/Proc2';
+// --
+import {cdinfos} from './cdinfos.js';
+import {FFMPEG} from './ffmpeg.js';
+import {getTOC, cddbId, musicbrainzId, discdb} from './discid.js';
+import {encodeECM, ecmStream, cookMode1, isoStream} from './ecm.js';
+import {parseRules, needsLoudness, matchRules} from './rules.js';
+import {crc32, zipFolder} from './zip.js';
+
+export {cdinfos, FFMPEG};
+export {datfile} from './datfile.js';
+export {discdb} from './discid.js';
+export {parseRules} from './rules.js';
+export {findCDs, isCBAECue} from './scan.js';
+
+
+// Written in the header of the generated cue files
+export const VERSION = "1.2.1";
+
+// Use 3/4 of total threads for operations
+export const DEF_THREADS = (Math.ceil(cpus().length * 0.75)) || 1;
+
+// Target size encodes, aim a bit lower for the container overhead and the VBR codecs
+const SIZE_MARGIN = 0.95;
+
+// Target size encodes, give up after this many tries
+const SIZE_TRIES = 5;
+
+// planCD() guesses FLAC files at this much of the raw audio
+const FLAC_RATIO = 0.6;
+
+// How to pack the output folder into a zip, `o.zip`
+const ZIP_MODES = ["store", "deflate"];
+
+// What to do with the silent audio tracks, `o.silence`
+const SILENCE_MODES = ["raw", "min", "gap"];
+
+/**
+ * Options of the API functions. Each function reads only what it needs
+ */
+const DEF_OPTIONS = {
+	enc: null,			// {String} Audio codec string e.g. "OPUS:96", see `FFMPEG.getEnc()`
+	rules: null,		// {String|String[]} Codec per track, over `enc` e.g. "dur<5 FLAC; no=2 OPUS:128", see `parseRules()`
+	size: null,			// {Int} Target size of the new CD in bytes. The bitrate of `enc` is picked to fit it
+	taken: null,		// {Set<String>} planCD() : Output folders planned by the previous calls, the new one is added
+	out: null,			// {String} Folder to create the new CD folder in. null for the same folder as the cue file
+	only: null,			// {String} Process only "data" or "audio" tracks
+	template: null,		// {String} Track filename template e.g. "track{no}", see `cdinfos.prepareFilenames()`
+	parallel: DEF_THREADS,	// {Int} Max tracks to process at the same time
+	ecm: false,			// {Boolean} Pack data tracks with ECM
+	iso: false,			// {Boolean} Convert MODE1/2352 data tracks to .iso
+	deemph: false,		// {Boolean} De-emphasis on audio tracks with FLAGS PRE
+	gaps: null,			// {String} Where the pregaps go, "next", "prev", "drop"
+	silence: null,		// {String} What to do with silent audio tracks, "raw", "min", "gap". See `encodeTracks()`
+	tags: {},			// {Object} Extra metadata tags for the audio files e.g. {date:"1996"}
+	gdi: false,			// {Boolean} Also write a .gdi file
+	dat: null,			// {datfile} Check the tracks against this DAT
+	datname: false,		// {Boolean} Use the game name from the DAT as the CD title
+	meta: null,			// {discdb} Look up the CD titles in this database
+	single: false,		// {Boolean} restoreCD() to a single .bin file
+	sha1: false,		// {Boolean} mergeCD() also gets the SHA1 of the .bin file
+	zip: null,			// {String} Pack the new CD folder into a .zip file, "store" or "deflate"
+	events: null		// {EventEmitter} Progress events are emitted here
+};
+
+// -------------------------------------------------------;
+
+/** Promise, an object that gets hashes of data given to it in parts
+ * @param {String[]} algos Any of {sha1, md5, crc32, peak}
+ * 		peak : Not a hash, the highest 16bit sample of CDDA (0-32768). For the silence scan
+ * @param {Number} byteSize If set, will only hash this many bytes, and pad with zeroes if there is less
+ * @returns {Promise<{update:Function, digest:Function}>} `digest()` returns e.g. {sha1:"83cb..", crc32:"0a1b2c3d"}
+ */
+async function Hasher(algos = ['sha1'], byteSize = 0)
+{
+	// Only bother importing this if it has to
+	var crypto = await import('node:crypto');
+	let H = algos.filter(a => a != 'crc32' && a != 'peak').map(a => [a, crypto.createHash(a)]);
+	let crc = algos.includes('crc32') ? 0 : null;
+	let peak = algos.includes('peak') ? 0 : null;
+	let odd = null;	// The first byte of a sample that is cut between two chunks
+
+	let scan = (b) => {
+		if (odd) b = Buffer.concat([odd, b]);
+		odd = (b.length & 1) ? b.subarray(-1) : null;
+		// DEV: Int16Array needs an even offset in the memory
+		if (b.byteOffset & 1) b = Buffer.from(b);
+		let S = new Int16Array(b.buffer, b.byteOffset, b.length >> 1);
+		for (let i = 0; i < S.length; i++) {
+			let v = S[i] < 0 ? -S[i] : S[i];
+			if (v > peak) peak = v;
+		}
+	};
+
+	let upd = (b) => {
+		for (let h of H) h[1].update(b);
+		if (crc !== null) crc = crc32(b, crc);
+		if (peak !== null) scan(b);
+	};
+
+	let total = 0;
+	return {
+		update(chunk) {
+			if (byteSize) {
+				if (total >= byteSize) return;
+				if (total + chunk.length > byteSize) chunk = chunk.subarray(0, byteSize - total);
+			}
+			total += chunk.length;
+			upd(chunk);
+		},
+		digest() {
+			if (byteSize && total < byteSize) upd(Buffer.alloc(byteSize - total));
+			let o = {};
+			for (let h of H) o[h[0]] = h[1].digest('hex');
+			if (crc !== null) o.crc32 = crc.toString(16).padStart(8, '0');
+			if (peak !== null) o.peak = peak;
+			return o;
+		}
+	};
+}// -- end fn --
+
+
+
+/** Promise, get hashes of all the data coming from a stream . @throws
+ * @param {import('node:stream').Readable} strIn
+ * @param {String[]} algos Any of {sha1, md5, crc32, peak}, see `Hasher()`
+ * @param {Number} byteSize If set, will only hash this many bytes, and pad with zeroes if the stream is shorter
+ * @returns {Promise<Object>} e.g. {sha1:"83cb..", crc32:"0a1b2c3d"}
+ */
+async function StreamHash(strIn, algos = ['sha1'], byteSize = 0)
+{
+	let H = await Hasher(algos, byteSize);
+	// DEV: Keeps reading after byteSize, so that the source can close
+	for await (let chunk of strIn) H.update(chunk);
+	return H.digest();
+}// -- end fn --
+
+
+
+/** Pass a stream through, getting its hashes on the way. Like `StreamHash()`
+ * - For hashing a track with the same read that copies or encodes it
+ * - Errors of `strIn` are passed on
+ * @param {import('node:stream').Readable} strIn
+ * @returns {import('node:stream').Transform} With the Promise `hashes`, e.g. {sha1:"83cb..", crc32:"0a1b2c3d"}
+ *   that rejects if the stream closes before all the data is read
+ */
+function HashTap(strIn, algos = ['sha1'], byteSize = 0)
+{
+	let H = Hasher(algos, byteSize);
+	let done = null;
+	let tap = new Transform({
+		transform(chunk, enc, cb) { H.then(h => { h.update(chunk); cb(null, chunk); }, cb); },
+		flush(cb) { H.then(h => { done(h.digest()); cb(); }, cb); }
+	});
+	tap.hashes = new Promise((res, rej) => {
+		done = res;
+		tap.once('error', rej);
+		tap.once('close', () => rej("Could not read the whole track"));
+	});
+	// DEV: When the copy/encode fails first, nobody waits for this one
+	tap.hashes.catch(() => {});
+	strIn.once('error', er => tap.destroy(er));
+	return strIn.pipe(tap);
+}// -- end fn --
+
+
+
+/** Promise, get hashes of file/part of file . @throws
+ * @param {String[]} algos Any of {sha1, md5, crc32}
+ * @returns {Promise<Object>} e.g. {sha1:"83cb..", crc32:"0a1b2c3d"}
+ */
+async function FilePartHash(source, readStart = 0, readLen = 0, algos = ['sha1'])
+{
+	let stat; 
+	try{ stat = FS.statSync(source); } catch(er) {
+		throw `Cannot read file '${source}'`;
+	}
+
+	let srcSize = stat.size;
+	if (readLen == 0) readLen = srcSize - readStart;	// to the rest of the track
+	// DEV: it needs the -1 for readEnd because it is inclusive | i.e. (readStart to readStart) would read 1 byte
+	// Actual ending position to read
+	let readEnd = readStart + readLen - 1;
+	L.debug("Reading hashes for ", source, readStart, readEnd);
+
+	return StreamHash(FS.createReadStream(source, {start:readStart, end:readEnd}), algos);
+}// -- end fn --
+
+
+
+/** Promise, decode an encoded audio file to raw CDDA and get its hashes . @throws
+ * - The decoded data is padded/trimmed to exactly {byteSize}, like `DecodeToRaw()`
+ * @param {String} input FFmpeg input string, get it with `FFMPEG.getInput()`
+ * @param {import('node:stream').Readable} feed Piped to FFmpeg, for a `pipe:0` input. See `TrackFeed()`
+ */
+async function DecodeHash(input, byteSize, algos = ['sha1'], feed = null)
+{
+	let ff = new Proc2("ffmpeg");
+	let prom = ff.startP(`-y|${input}|${FFMPEG.rawStr}|pipe:1`);
+	feed?.pipe(ff.stdin);
+	let r = await Promise.all([StreamHash(ff.proc.stdout, algos, byteSize), prom]);
+	return r[0];
+}// -- end fn --
+
+
+
+/** FFmpeg input string for an encoded track of a CD (index 0 start)
+ * Tracks in a file with other tracks, or without their pregap, will be cut from it
+ * - For a CD in a zip FFmpeg reads from stdin, pipe `TrackFeed()` into it */
+function TrackInput(cd, i, af = null)
+{
+	let tr = cd.tracks[i];
+	// DEV: Encoded tracks in a zip are from CBAE cue files, a file per track, only a dropped gap to cut
+	if (cd.ZIP) return FFMPEG.getInput('pipe:0', 0, tr.trimmed ? tr.byteSize : 0, af);
+	if (cd.isTrackCut(i) || tr.byteStart > 0) return FFMPEG.getInput(cd.getTrackFilePath(i), tr.byteStart, tr.byteSize, af);
+	return FFMPEG.getInput(cd.getTrackFilePath(i), 0, 0, af);
+}// -- end fn --
+
+
+
+/** The encoded track of a CD in a zip (index 0 start), to pipe into FFmpeg. See `TrackInput()`
+ * @returns {import('node:stream').Readable} null for tracks on the disk, FFmpeg reads the file */
+function TrackFeed(cd, i)
+{
+	return cd.ZIP ? cd.ZIP.stream(cd.getTrackEntry(i)) : null;
+}// -- end fn --
+
+
+
+/** Promise, get the mean volume of an audio track of a CD (index 0 start) in dB, with FFmpeg . @throws
+ * Digital silence is -91dB */
+async function TrackVolume(cd, i)
+{
+	let tr = cd.tracks[i];
+	let ff = new Proc2("ffmpeg");
+	let prom;
+	if (tr.isEncoded) {
+		prom = ff.startP(`-y|${TrackInput(cd, i, 'volumedetect')}|-f|null|-`);
+		TrackFeed(cd, i)?.pipe(ff.stdin);
+	} else {
+		prom = ff.startP(`-y|${FFMPEG.rawStr}|-i|pipe:0|-af|volumedetect|-f|null|-`);
+		TrackStream(cd, i).pipe(ff.stdin);
+	}
+	await prom;
+	let res = /mean_volume:\s*(-?[\d.]+|-inf) dB/.exec(ff.logExit.err);
+	if (!res) throw `Track ${tr.noStr} : Cannot measure the volume`;
+	return res[1] == '-inf' ? -91 : parseFloat(res[1]);
+}// -- end fn --
+
+
+
+/** Promise, get the hashes of a track of a CD (index 0 start), as raw CDDA . @throws
+ * Encoded tracks (mp3, flac ...) are decoded first */
+function TrackHash(cd, i, algos = ['sha1'])
+{
+	let tr = cd.tracks[i];
+	if (tr.isEncoded) return DecodeHash(TrackInput(cd, i), tr.byteSize, algos, TrackFeed(cd, i));
+	if (tr.isPacked || cd.ZIP) return StreamHash(TrackStream(cd, i), algos, tr.byteSize);
+	return FilePartHash(cd.getTrackFilePath(i), tr.byteStart, tr.byteSize, algos);
+}// -- end fn --
+
+
+
+/** Readable stream of `size` zero bytes, for the SILENT tracks */
+function ZeroStream(size)
+{
+	return Readable.from((function*() {
+		let b = Buffer.alloc(65536);
+		for (let n = size; n > 0; n -= b.length) yield n < b.length ? b.subarray(0, n) : b;
+	})(), { objectMode: false });
+}// -- end fn --
+
+
+
+/** Readable stream with the raw bytes of a track of a CD (index 0 start)
+ * - Packed tracks (ECM, ISO, SILENT) are decoded. Encoded audio tracks are not handled here
+ * - Tracks of a CD in a zip are read from it */
+function TrackStream(cd, i)
+{
+	let tr = cd.tracks[i];
+	if (tr.ftype == "SILENT") return ZeroStream(tr.byteSize);
+	if (cd.ZIP) {
+		// DEV: Packed files in a zip are decoded from the stream of their entry
+		let en = cd.getTrackEntry(i);
+		if (tr.ftype == "ECM") return ecmStream(cd.ZIP.stream(en), en);
+		if (tr.ftype == "ISO") return isoStream(cd.ZIP.stream(en), tr.orig.cook, en);
+		return cd.ZIP.stream(en, tr.byteStart, tr.byteSize);
+	}
+	if (tr.ftype == "ECM") return ecmStream(cd.getTrackFilePath(i));
+	if (tr.ftype == "ISO") return isoStream(cd.getTrackFilePath(i), tr.orig.cook);
+	return FS.createReadStream(cd.getTrackFilePath(i), { start: tr.byteStart, end: tr.byteStart + tr.byteSize - 1 });
+}// -- end fn --
+
+
+
+/** Promise, write the raw bytes of a track of a CD (index 0 start) to a file . @throws
+ * - Packed tracks (ECM, ISO, SILENT) are decoded. Encoded audio tracks are not handled here
+ * - Tracks of a CD in a zip are read from it
+ * @param {String} destMode 'w' to create a new file, 'a' to append to it
+ * @param {String[]} algos If set, get the hashes of the track while copying it, see `HashTap()`
+ * @returns {Promise<Object>} The hashes, if `algos` is set
+ */
+async function TrackCopy(cd, i, dest, destMode = 'w', algos = null)
+{
+	let tr = cd.tracks[i];
+	if (tr.isPacked || cd.ZIP || algos) {
+		var pipeline = await import('node:stream/promises');
+		let strIn = TrackStream(cd, i);
+		if (algos) strIn = HashTap(strIn, algos, tr.byteSize);
+		try {
+			await pipeline.pipeline(strIn, FS.createWriteStream(dest, { flags: destMode }));
+		} catch (er) {
+			if (typeof (er) == 'string') throw er;
+			throw `Could not write file '${dest}'`;
+		}
+		return strIn.hashes;
+	}
+	return TFS.copyPart(cd.getTrackFilePath(i), dest, tr.byteStart, tr.byteSize, destMode);
+}// -- end fn --
+
+
+
+/** Promise, copy the file of a track of a CD (index 0 start) as it is, e.g. an .ecm file . @throws
+ * - For a CD in a zip, the entry is extracted */
+async function FileCopy(cd, i, dest)
+{
+	if (!cd.ZIP) return TFS.copyPart(cd.getTrackFilePath(i), dest);
+	var pipeline = await import('node:stream/promises');
+	try {
+		await pipeline.pipeline(cd.ZIP.stream(cd.getTrackEntry(i)), FS.createWriteStream(dest));
+	} catch (er) {
+		if (typeof (er) == 'string') throw er;
+		throw `Could not write file '${dest}'`;
+	}
+}// -- end fn --
+
+
+
+/** Promise, check that a packed file (ECM, ISO) decodes back to the hash of its track . @throws
+ * @param {String} pack "ECM" or "ISO"
+ * @param {String} addr For "ISO", the address of the first sector, as returned from `cookMode1()`
+ */
+async function PackCheck(tr, file, pack, addr = null)
+{
+	let h = await StreamHash(pack == "ISO" ? isoStream(file, addr) : ecmStream(file), ['sha1']);
+	if (h.sha1 != tr.hash.sha1) throw `Track ${tr.noStr} : The ${pack} file does not decode back to the original data`;
+}// -- end fn --
+
+
+
+/** Promise, decode an encoded audio file to raw CDDA . @throws
+ * - The generated file is padded/trimmed to exactly {byteSize}
+ * @param {String} input FFmpeg input string, get it with `FFMPEG.getInput()`
+ * @param {String} dest Raw file to create
+ * @param {Number} byteSize Final size of the raw file
+ * @param {import('node:stream').Readable} feed Piped to FFmpeg, for a `pipe:0` input. See `TrackFeed()`
+ * @param {String[]} algos If set, get the hashes of the raw file while writing it, see `HashTap()`
+ * @returns {Promise<Object>} The hashes, if `algos` is set
+ */
+async function DecodeToRaw(input, dest, byteSize, feed = null, algos = null)
+{
+	var pipeline = await import('node:stream/promises');
+	let ff = new Proc2("ffmpeg");
+	let prom = ff.startP(`-y|${input}|${FFMPEG.rawStr}|pipe:1`);
+	feed?.pipe(ff.stdin);
+	// DEV: ffmpeg writes the PCM data to stdout, that is piped into the file
+	let strIn = algos ? HashTap(ff.proc.stdout, algos, byteSize) : ff.proc.stdout;
+	await Promise.all([prom, pipeline.pipeline(strIn, FS.createWriteStream(dest))]);
+	// Encoders add/remove some samples, so force the original size.
+	// Truncating to a bigger size will pad the file with zeroes.
+	FS.truncateSync(dest, byteSize);
+	return strIn.hashes;
+}// -- end fn --
+
+
+
+/** SYNC
+ * Copy the CDTEXTFILE of a CD next to the new cue file, the new cue file points to it by name
+ * - If the file is missing, it is only logged
+ */
+function CopyCdText(cd, outDir)
+{
+	if (!cd.CD_TEXTFILE) return;
+	let f = PATH.resolve(cd.FILE_DIR, cd.CD_TEXTFILE);
+	try {
+		if (cd.ZIP) {
+			f = cd.getZipEntry(cd.CD_TEXTFILE);
+			FS.writeFileSync(PATH.join(outDir, PATH.posix.basename(f)), cd.ZIP.read(f));
+			return;
+		}
+		FS.copyFileSync(f, PATH.join(outDir, PATH.basename(f)));
+	} catch (er) {
+		L.error(`Cannot copy CDTEXTFILE "${f}"`);
+	}
+}// -- end fn --
+
+
+
+/** SYNC
+ * Return a unique path to put the generated CD track files, without creating it
+ * - If exists, will increment a counter at the end of the path (2) until unique
+ * 
+ * @param {cdinfos} cd
+ * @param {String} out The output path to create the subfolder. If null will set to same as input file 
+ * @param {String} tag Postfix tag for the folder name. `e` for encoded, `r` for restored
+ * @param {String} only Postfix for partial outputs, `data` or `audio`
+ * @param {Set<String>} taken Paths that are not on disk, but count as existing. From `planCD()`
+ * @returns {String}
+ */
+function outputDirName(cd, out, tag = 'e', only = null, taken = null)
+{
+	let path = out??cd.FILE_DIR;
+	path = PATH.resolve(PATH.normalize(path));
+	path = PATH.join(path, cd.CD_FILE);
+	path += ` [${tag}]`;
+
+	if(only) {
+		path += ` [only ${only}]`;
+	}
+
+	// Rename it like windows does, adds (1).. (2).. (3) at the end of the path
+	// DEV: Also for the zip of the folder, from `o.zip`
+	while(FS.existsSync(path) || FS.existsSync(path + '.zip') || taken?.has(path))
+	{	
+		let res = /\((\d+)\)$/.exec(path);
+		if(!res) {
+			path += ' (2)';	// START counting at 2
+		}else{
+			// Increment the (x) by one
+			path = path.slice(0,res.index);
+			path += '(' + (parseInt(res[1]) + 1) + ')';
+		}
+	}
+	return path;
+}// -------------------------;
+
+
+
+/** SYNC
+ * Create a unique path to put the generated CD track files, see `outputDirName()`
+ * @returns {String} the actual path that was created
+ * @throws {String} When can't create
+ */
+function createOuputDir(cd, out, tag = 'e', only = null)
+{
+	let path = outputDirName(cd, out, tag, only);
+	L.log(`Creating CD output dir "${path}"`);
+	try{
+		FS.mkdirSync(path,{recursive:true});
+	}catch(e){
+		L.error(" .. FAILED");
+		throw `Cannot create : "${path}"`;
+	}
+	return path;
+}// -------------------------;
+
+
+
+/** Promise
+ * Pack the new CD folder into a .zip file next to it, if `o.zip` is set. The folder is deleted
+ * @param {Object} r Result of `encodeCD()` `restoreCD()` `mergeCD()`
+ * @returns {Promise<Object>} The result with {output} the zip file and {zip} its size
+ * @throws {String}
+ */
+async function PackOutput(r, o)
+{
+	if (!o.zip) return r;
+	let zip = r.output + '.zip';
+	L.log(`Packing "${r.output}" into "${zip}"`);
+	let size = await zipFolder(r.output, zip, o.zip == "deflate"); // *THROWS {String}
+	FS.rmSync(r.output, {recursive: true, force: true});
+	return {...r, output: zip, zip: size};
+}// -- end fn --
+
+
+
+/** Emit an event on `o.events`, if it is set */
+function emit(o, ev, data)
+{
+	if (o.events) o.events.emit(ev, data);
+}// -- end fn --
+
+
+
+/** SYNC
+ * Load a cue/ccd/gdi file
+ * @throws {String}
+ */
+function loadCD(file)
+{
+	let cd = new cdinfos();
+		cd.loadCue(file); // *THROWS {String}
+	return cd;
+}// -- end fn --
+
+
+
+/** Describe a track, for the results of `inspectCD()` */
+function trackInfo(tr)
+{
+	return {
+		no: tr.no, type: tr.type, file: tr.file ?? tr.shared,
+		title: tr.title, artist: tr.artist,
+		byteStart: tr.byteStart, byteSize: tr.byteSize, sectors: tr.sectors,
+		indexes: tr.indexes.map(x => ({no: x.no, time: x.toString()})),
+		pregap: tr.pregap?.toString() ?? null,
+		postgap: tr.postgap?.toString() ?? null,
+		hash: tr.hash,
+		peak: tr.peak, silence: tr.silence
+	};
+}// -- end fn --
+
+
+
+/**
+ * Hash all the tracks of a CD and match them against the DAT of `o.dat`
+ * - With `o.datname` a matched game renames the CD
+ * @param {cdinfos} cd
+ * @returns {Promise<Object>} The match, from `datfile.matchCD()`
+ */
+async function datMatch(cd, o)
+{
+	for (let i = 0; i < cd.tracks.length; i++) {
+		let tr = cd.tracks[i];
+		if (!tr.hash?.md5)
+			tr.hash = await TrackHash(cd, i, ['sha1', 'md5', 'crc32']);
+	}
+
+	let m = o.dat.matchCD(cd);
+	if (m.game && o.datname) {
+		cd.CD_TITLE = m.game;
+		cd.CD_FILE = TFS.sanitizePath(m.game);
+	}
+	emit(o, 'dat', {cd, match: m});
+	return m;
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Look up a CD in the metadata database of `o.meta` and apply a match
+ * - Errors reading the database are not thrown, they are in the `meta` event
+ * @param {cdinfos} cd
+ * @returns {Object} The match, from `discdb.lookup()`. null for no match
+ */
+function metaMatch(cd, o)
+{
+	let m = null, error = null;
+	try {
+		m = o.meta.lookup(cd);
+	} catch (er) {
+		L.error(er);
+		error = er.message ?? er;
+	}
+	if (m) discdb.apply(cd, m);
+	emit(o, 'meta', {cd, match: m, error});
+	return m;
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Get the infos of a CD and the hashes of its tracks
+ * - Tracks that cannot be read get a `null` hash, the `track` event has the error
+ * - Audio tracks are also scanned for silence, in the same read. See `cdtrack.silence`
+ * @param {String} file A cue file (or .ccd .gdi)
+ * @param {DEF_OPTIONS} opts Reads {dat, meta, events}
+ * @returns {Promise<Object>} {cd, input, title, artist, size, dataSize, audioSize, cddb, musicbrainz, meta, dat, tracks[]}
+ * @throws {String}
+ */
+export async function inspectCD(file, opts)
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let cd = loadCD(file);
+	let toc = getTOC(cd);
+	let r = {
+		cd,
+		input: file,
+		cddb: cddbId(toc),
+		musicbrainz: musicbrainzId(toc, cd.tracks.at(-1).isData)
+	};
+	emit(o, 'start', {cd, output: null, total: cd.tracks.length, cddb: r.cddb, musicbrainz: r.musicbrainz});
+	if (o.meta) r.meta = metaMatch(cd, o);
+
+	// With a DAT, get all the hashes that a DAT can have
+	let algos = o.dat ? ['sha1', 'md5', 'crc32'] : ['sha1'];
+	for (let i = 0; i < cd.tracks.length; i++)
+	{
+		let tr = cd.tracks[i];
+		let error = null;
+		try {
+			let {peak, ...h} = await TrackHash(cd, i, tr.isData ? algos : [...algos, 'peak']);
+			tr.hash = h;
+			tr.peak = peak ?? null;
+		} catch (er) {
+			L.error(er);
+			tr.hash = null;
+			error = `Cannot read file '${tr.file ?? tr.shared}'`;
+		}
+		emit(o, 'track', {cd, index: i, track: tr, done: i + 1, total: cd.tracks.length, hash: tr.hash, error});
+	}
+	if (o.dat && cd.tracks.every(t => t.hash)) r.dat = await datMatch(cd, o);
+
+	let auds = cd.getAudioSize();
+	return {
+		...r,
+		title: cd.CD_TITLE, artist: cd.CD_ARTIST,
+		size: cd.CD_SIZE, dataSize: cd.CD_SIZE - auds, audioSize: auds, gapSize: cd.getGapSize(),
+		tracks: cd.tracks.map(trackInfo)
+	};
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Whole task of encoding a CD.
+ * Audio tracks are encoded, data tracks are copied, into a new folder along with a new cue file
+ * @param {String} file A cue file (or .ccd .gdi)
+ * @param {DEF_OPTIONS} opts `enc` is required
+ * @returns {Promise<Object>} {cd, output, cue, codec, size0, size1, duration, tracks[], dat, meta}
+ * 		Sizes are raw/encoded bytes. Duration is in seconds. With `size` it also has {tries}
+ * 		With `zip` the output is the .zip file, and {zip} is its size
+ * @throws {String}
+ */
+export async function encodeCD(file, opts)
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let {enc, rules} = encodeChecks(o); // *THROWS {String}
+
+	let cd = loadCD(file);
+
+	// This is the only SKIP case (error starting with +) There is no point in converting this CD
+	if (cd.tracks.every(t => t.isData)) throw "+CD has no Audio Tracks";
+
+	// Check the original tracks before encoding, this can also rename the CD
+	let dat = o.dat ? await datMatch(cd, o) : null;
+
+	// DEV: After the DAT, so that the looked up titles are kept over the DAT name
+	let meta = o.meta ? metaMatch(cd, o) : null;
+
+	// DEV: After the DAT check, since this changes the track sizes
+	if (o.gaps) cd.setGapMode(o.gaps);
+
+	let r = (o.size && o.only != "data") ? await encodeToSize(cd, rules, o) : await encodeTracks(cd, enc, rules, o);
+	return PackOutput({cd, ...r, dat, meta}, o);
+}// -------------------------------------------------------;
+
+
+
+/** SYNC
+ * Check the encoding options, for `encodeCD()` and `planCD()`
+ * @returns {{enc:Object, rules:Array}} From `FFMPEG.getEnc()` and `parseRules()`
+ * @throws {String}
+ */
+function encodeChecks(o)
+{
+	// DEV: Only data tracks, there is no audio codec to check
+	let enc = FFMPEG.getEnc(o.only == "data" ? "RAW" : o.enc);
+	if (!enc) throw o.enc ? "Encoding String Error." : "An encoder is required. e.g. enc:'OPUS:96'";
+	let rules = o.only == "data" ? [] : parseRules(o.rules); // *THROWS {String}
+	if (o.gaps && !["next", "prev", "drop"].includes(o.gaps)) throw "Gap mode can be one of {next, prev, drop}";
+	if (o.size && o.only != "data" && !enc.kbps) throw "Target size needs a codec with a bitrate. e.g. enc:'OPUS:96'";
+	if (o.zip && !ZIP_MODES.includes(o.zip)) throw "Zip mode can be one of {store, deflate}";
+	if (o.silence && !SILENCE_MODES.includes(o.silence)) throw "Silence mode can be one of {raw, min, gap}";
+	if (o.silence == "gap" && o.gdi) throw "Silence mode 'gap' does not work with a .gdi file, it has no POSTGAP";
+	return {enc, rules};
+}// -- end fn --
+
+
+
+/** SYNC
+ * The first bitrate of a target size encode (`o.size`)
+ * From the duration of the audio, with what is left after the data tracks
+ * - PREGAP/POSTGAP are not counted, they are cue commands and take no space in the files
+ * @returns {Number} kbps, up to the bitrate of `o.enc`
+ * @throws {String} When it can't fit
+ */
+function sizeBitrate(cd, o)
+{
+	let enc = FFMPEG.getEnc(o.enc);
+	let codec = FFMPEG.enc[o.enc.toUpperCase().split(':')[0]];
+	let MB = (b) => (b / 1048576).toFixed(1);
+
+	let audio = cd.getAudioSize();
+	let data = o.only == "audio" ? 0 : cd.CD_SIZE - audio;
+	if (o.size <= data) throw `Target size ${MB(o.size)}MB is smaller than the data tracks (${MB(data)}MB)`;
+
+	let kbps = Math.floor((o.size - data) * SIZE_MARGIN * 8 / 1000 / (audio / 176400));
+	if (kbps < codec.min) throw `Target size ${MB(o.size)}MB is too small, ${codec.name} goes down to ${codec.min}kbps`;
+	// DEV: The bitrate of `enc` is the highest it can go
+	return Math.min(kbps, enc.kbps);
+}// -- end fn --
+
+
+
+/** The codecs of a CD, for the cue header and the results
+ * e.g. "Opus 96k Vbr" or with rules "Opus 96k Vbr (2,3,5), Flac Lossless (4,6)"
+ * @param {Array} trackEnc The codec of each track, null for data and skipped tracks
+ * @param {Object} enc Default codec, when there are no audio tracks */
+function codecList(cd, trackEnc, enc)
+{
+	let codecs = new Map();
+	trackEnc.forEach((e, i) => e && codecs.set(e.desc, [...(codecs.get(e.desc) ?? []), cd.tracks[i].no]));
+	if (codecs.size > 1) return [...codecs].map(([d, nos]) => `${d} (${nos.join(',')})`).join(', ');
+	return codecs.keys().next().value ?? enc.desc;
+}// -- end fn --
+
+
+
+/**
+ * Encode the tracks of a loaded CD, picking the bitrate of `o.enc` so that the new CD fits in `o.size`
+ * - The bitrate of `o.enc` is the highest, e.g. "OPUS:128" is 128kbps or less
+ * - The first bitrate is from the duration of the audio, with what is left after the data tracks
+ * - If the new CD is bigger, it is deleted and encoded again at a lower bitrate,
+ *   from the encoded size that FFmpeg reports
+ * - Tracks with a codec from the rules are not changed, but they count in the size
+ * @param {cdinfos} cd
+ * @param {Array} rules From `parseRules()`
+ * @param {DEF_OPTIONS} o
+ * @throws {String}
+ */
+async function encodeToSize(cd, rules, o)
+{
+	let id = o.enc.toUpperCase().split(':')[0];
+	let codec = FFMPEG.enc[id];
+	let MB = (b) => (b / 1048576).toFixed(1);
+
+	// Kilobits per second, for all the audio tracks
+	let kbps = sizeBitrate(cd, o); // *THROWS {String}
+
+	for (let tries = 1; ; tries++)
+	{
+		let enc = FFMPEG.getEnc(`${id}:${kbps}`);
+		L.log(`> Target size ${o.size} bytes, try (${tries}) at ${kbps}kbps`);
+		let r = await encodeTracks(cd, enc, rules, o);
+		if (r.size1 <= o.size) return {...r, tries};
+
+		// Scale the bitrate by how much the tracks with this codec need to shrink
+		let own = r.tracks.filter(t => t.codec == enc.desc).reduce((p, t) => p + t.size1, 0);
+		let next = Math.floor(kbps * (own - (r.size1 - o.size)) / own * SIZE_MARGIN);
+		if (next >= kbps) next = kbps - 1;
+		if (next < codec.min && kbps > codec.min) next = codec.min;	// One last try at the lowest bitrate
+
+		let fail = null;
+		if (!own || next < codec.min) fail = `Cannot fit in ${MB(o.size)}MB, the smallest encode is ${MB(r.size1)}MB`;
+		else if (tries == SIZE_TRIES) fail = `Cannot fit in ${MB(o.size)}MB after (${tries}) tries`;
+		if (fail) {
+			// Like a failed encode, keep the files of the last try
+			FS.renameSync(r.output, `${r.output} (${Date.now()}) (failed)`);
+			throw fail;
+		}
+
+		emit(o, 'retry', {cd, size: r.size1, target: o.size, codec: FFMPEG.getEnc(`${id}:${next}`).desc});
+		FS.rmSync(r.output, {recursive: true, force: true});
+		kbps = next;
+	}
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Encode the tracks of a loaded CD into a new output folder
+ * - With `o.silence` the audio tracks are scanned for silence when they are hashed. Silent tracks
+ *   do not use `enc` or the rules :
+ *		raw : Copied as .bin files, FFmpeg is not used
+ *		min : Encoded with the codec of `o.enc` at its lowest bitrate
+ *		gap : Digital silence is a short .bin file and a POSTGAP, the rest is like `min`
+ * @param {cdinfos} cd
+ * @param {{str:String, ext:String, desc:String}} enc From `FFMPEG.getEnc()`
+ * @param {Array} rules From `parseRules()`, pick the codec of each audio track over `enc`
+ * @param {DEF_OPTIONS} o
+ */
+function encodeTracks(cd, enc, rules, o) { return new Promise( (res, rej) =>
+{
+	// DEV: I am making this an explicit Promise, because I need access to reject()
+
+	let time0 = Date.now(); // Unix Time
+
+	// Hold the bytes of all tracks encoded + data | Used for info only
+	let encSize = 0;
+
+	// The files that were written for each track, null for skipped tracks
+	let outFiles = [];
+
+	// The codec of each audio track, from the rules or `enc`
+	let trackEnc = [];
+
+	// This will create a unique output dir to put the tracks
+	let outDir = createOuputDir(cd, o.out, 'e', o.only); // *THROWS {String}
+
+	// >> Declare how the tracks are going to be named
+	cd.prepareFilenames(o.template);
+
+	emit(o, 'start', {cd, output: outDir, total: cd.tracks.length, codec: enc.desc});
+
+	let done = 0;
+	let trackDone = (i, p) => p.then(() => emit(o, 'track', {cd, index: i, track: cd.tracks[i], done: ++done, total: cd.tracks.length}));
+
+	/**
+	 * Write a track of digital silence as its first sectors, the rest is a POSTGAP
+	 * - The file goes up to the last INDEX of the track, so the disc timing does not change
+	 * @returns {Boolean} false if it can't be done, the pregap of the next track is at its end
+	 */
+	const writeSilentGap = function(i, outFile) {
+
+		let tr = cd.tracks[i];
+		let keep = tr.indexes.at(-1).toFrames() - tr.indexes[0].toFrames() + 1;
+		if(tr.silence != "digital" || cd.tracks[i + 1]?.gapPrev || keep >= tr.sectors) return false;
+		try{
+			FS.writeFileSync(`${outFile}.bin`, Buffer.alloc(keep * tr.sectorSize));
+		}catch(e) {
+			throw `Could not write file '${outFile}.bin'`;
+		}
+		tr.silentGap = tr.sectors - keep;
+		tr.encExt = ".bin";
+		trackEnc[i] = FFMPEG.getEnc("RAW");
+		outFiles[i] = `${outFile}.bin`;
+		encSize += keep * tr.sectorSize;
+		L.log(`> Track ${tr.noStr} : (${keep}) sectors and a POSTGAP of (${tr.silentGap})`);
+		return true;
+	}// -------------------------;
+
+	/**
+	 * Promise, encode an audio track with its codec. RAW tracks are copied
+	 * @param {Number} i Track index
+	 * @param {String} outFile Path of the new file, without the extension
+	 * @param {String} ffIn FFmpeg input string for tracks that are already encoded
+	 * @param {String[]} algos If set, get the hashes of the track from the same read, see `HashTap()`
+	 * @returns {Promise<Object>} The hashes, if `algos` is set
+	 */
+	const encodeAudio = async function(i, outFile, ffIn, algos = null) {
+
+		let tr = cd.tracks[i];
+		let e, loud = null;
+		tr.silentGap = 0;
+		if(o.silence && tr.silence) {
+			L.log(`> Track ${tr.noStr} : Silence (${tr.silence}) peak ${tr.peak}`);
+			if(o.silence == "gap" && writeSilentGap(i, outFile)) return;
+			e = FFMPEG.getEnc(o.silence == "raw" ? "RAW" : `${o.enc.split(':')[0]}:0`);
+		}else{
+			loud = needsLoudness(rules) ? await TrackVolume(cd, i) : null;
+			e = matchRules(rules, tr, loud) ?? enc;
+		}
+		trackEnc[i] = e;
+		if(loud != null) L.log(`> Track ${tr.noStr} : Mean volume ${loud}dB, Codec '${e.desc}'`);
+		tr.encExt = e.ext;
+		outFiles[i] = outFile + e.ext;
+
+		if(e.ext == ".bin")
+		{
+			encSize += tr.byteSize;
+			return tr.isEncoded ?
+				DecodeToRaw(ffIn, `${outFile}.bin`, tr.byteSize, TrackFeed(cd, i), algos) :
+				TrackCopy(cd, i, `${outFile}.bin`, 'w', algos);
+		}
+
+		// Undo the pre-emphasis, the new cue file will not have the PRE flag
+		tr.deemph = o.deemph && tr.flags.includes("PRE");
+		let af = tr.deemph ? FFMPEG.deemph : null;
+
+		// DEV: Encoded tracks are decoded by another FFmpeg, so the encoder always reads CDDA
+		//		from stdin, and the hashes are of the audio that goes into it
+		let strIn, decP = null;
+		if(tr.isEncoded) {
+			let dec = new Proc2("ffmpeg");
+			decP = dec.startP(`-y|${ffIn}|${FFMPEG.rawStr}|pipe:1`);
+			TrackFeed(cd, i)?.pipe(dec.stdin);
+			strIn = dec.proc.stdout;
+		}else{
+			strIn = TrackStream(cd, i);
+		}
+		if(algos) strIn = HashTap(strIn, algos, tr.byteSize);
+
+		let ff = new Proc2("ffmpeg");
+		let prom = ff.startP(`-y|${FFMPEG.rawStr}|-i|pipe:0|${af ? `-af|${af}|` : ''}${e.str}|${FFMPEG.getTags(cd, i, o.tags)}|${outFile + e.ext}`);
+		strIn.pipe(ff.stdin);
+		ff.proc.prependListener('close', (s)=>{
+			// > Get the encoded size of the file. FFMPEG gives out the KB of the file
+			// The last 120 characters of the FFMPEG output Should contain :
+			// "video:0kB audio:17994kB subtitle:0kB other streams:0kB global headers:0kB muxing overhead: 0.044981%"
+			// DEV, not checking for s>0 because if error,it will do nothing
+			let inf = ff.logExit.err.slice(-120);
+			let res = /audio:(\d+)kB/.exec(inf);
+			if(res) encSize += parseInt(res[1])*1024;
+		});
+		await Promise.all([prom, decP]);
+		return strIn.hashes;
+	}// -------------------------;
+
+	/**
+	 * Generator that returns Promises to process each track of the CD
+	 * Either copy bytes to new files / encode audio to new files
+	 */
+	const genTrackTask = function*() {
+
+		for(let i=0; i<cd.tracks.length; i++)
+		{
+			let tr = cd.tracks[i];
+			let outFile = PATH.join(outDir,cd.readyFiles[i]);
+			let copyData = tr.isData;
+
+			if( (tr.isData && o.only=="audio") || (!tr.isData && o.only=="data") )
+			{
+				outFiles[i] = null;
+				yield trackDone(i, Promise.resolve());	// Skip it
+				continue;
+			}
+
+			// Input string for tracks that are already encoded (mp3, flac ...)
+			let ffIn = tr.isEncoded ? TrackInput(cd, i) : null;
+
+			// Keep the hash of the original track, it will be written to the cue file
+			// DEV: The hash is from the same read that copies or encodes the track, see `HashTap()`
+			//		For encoded tracks, this is the hash of the decoded audio
+			//		The silence scan reads the track before, the codec is picked after it
+			let scan = o.silence && !tr.isData;
+			let algos = ['sha1', 'crc32'];
+			let keepHash = ({peak, ...h}) => {
+				tr.hash = h;
+				if(scan) tr.peak = peak;
+			};
+
+			// How to pack the data track, if it is going to be packed
+			let pack = (o.iso && tr.canCook) ? "ISO" : (o.ecm && tr.canPack) ? "ECM" : null;
+
+			if(copyData && pack)
+			{
+				let dest = outFiles[i] = outFile + (pack == "ISO" ? ".iso" : ".bin.ecm");
+				let cp;
+				if(tr.ftype == pack) {
+					// Already packed files can be copied as they are, the hash needs a read of their data
+					cp = Promise.all([FileCopy(cd, i, dest), TrackHash(cd, i, algos).then(keepHash)]).then(() => tr.orig.cook);
+				}else{
+					let strIn = HashTap(TrackStream(cd, i), algos, tr.byteSize);
+					cp = pack == "ISO" ?
+						cookMode1(strIn, dest).catch(er => { throw `Track ${tr.noStr} : ${er}` }) :
+						encodeECM(strIn, dest);
+					cp = Promise.all([cp, strIn.hashes.then(keepHash)]).then(r => r[0]);
+				}
+				// DEV: A new packed file is decoded and hashed, before the track counts as done
+				if(tr.ftype != pack) cp = cp.then(r => PackCheck(tr, dest, pack, r).then(() => r));
+				yield trackDone(i, cp.then(r => {
+					tr.packed = pack;
+					if(pack == "ISO") tr.cookAddr = r;
+					encSize += FS.statSync(dest).size;
+				}));
+			}
+			else if(copyData)
+			{
+				outFiles[i] = `${outFile}.bin`;
+				encSize += tr.byteSize;
+				let cp = tr.isEncoded ?
+					DecodeToRaw(ffIn, `${outFile}.bin`, tr.byteSize, TrackFeed(cd, i), algos) :
+					TrackCopy(cd, i, `${outFile}.bin`, 'w', algos);
+				yield trackDone(i, cp.then(keepHash));
+ 			}
+			else // -- IS AUDIO TRACK
+			{
+				let p = scan ?
+					TrackHash(cd, i, [...algos, 'peak']).then(keepHash).then(() => encodeAudio(i, outFile, ffIn)) :
+					encodeAudio(i, outFile, ffIn, algos).then(keepHash);
+				yield trackDone(i, p);
+			}
+
+		} return 0;
+	}// -------------------------;
+
+	// --
+	// DEV: PromiseRun will exec promises in parallel with a hard limit
+	TL.PromiseRun(genTrackTask(), o.parallel).then(() => {
+
+		// -- All tracks encoded.
+		// This string "600MB -> 200MB" is used in the .cue file
+		let byteStr = `${TL.bytesToMBStr(cd.CD_SIZE)}MB -> ${TL.bytesToMBStr(encSize)}MB`;
+
+		// With rules, list the codecs and their tracks
+		let codec = codecList(cd, trackEnc, enc);
+
+		// --> Write the new CUE file
+		let c = ['REM ' + '-'.repeat(50)];
+			c.push('REM | ' + cd.CD_TITLE);
+			c.push(c[0]); // Add the `---` line again
+			c.push(`REM | Converted with CBAE v${VERSION} - Cue/Bin Audio Encoder`);
+			c.push(`REM | CD Size : ${byteStr}`);
+			c.push('REM | Audio Quality : ' + codec);
+			if(cd.tracks.some(t => t.packed == "ECM")) c.push('REM | Data tracks are packed with ECM. Restore them with `cbae r` or `unecm` before use');
+			c.push(c[0], '');
+			c = c.concat(cd.buildCueFileForCBAE(enc.ext));
+
+		let cuef = cd.CD_FILE + (o.only?" (partial)":"") + ".cue";
+		CopyCdText(cd, outDir);
+		try{
+			L.log("> All tracks Complete. Writing CUE file");
+			FS.writeFileSync(PATH.join(outDir, cuef), c.join('\n'));
+		}catch(e) {
+			throw [`Failed to write : '${cuef}'`]; //-> DEV: String[]
+		}
+
+		// --> Write a GDI file, along with the cue file
+		if(o.gdi) {
+			let gdif = cd.CD_FILE + (o.only?" (partial)":"") + ".gdi";
+			try{
+				FS.writeFileSync(PATH.join(outDir, gdif), cd.buildGdiFile(enc.ext).join('\n') + '\n');
+			}catch(e) {
+				throw [`Failed to write : '${gdif}'`];
+			}
+		}
+
+		return {
+			output: outDir,
+			cue: cuef,
+			codec,
+			size0: cd.CD_SIZE,
+			size1: encSize,
+			duration: (Date.now() - time0) / 1000,
+			tracks: cd.tracks.map((tr, i) => outFiles[i] && {
+				no: tr.no, type: tr.type,
+				file: PATH.basename(outFiles[i]),
+				codec: trackEnc[i]?.desc,
+				size0: tr.byteSize,
+				size1: FS.statSync(outFiles[i]).size
+			}).filter(Boolean)
+		};
+
+	}).catch(er=>{
+
+		L.error(er);
+		// Here are errors from ::
+		// 		- TFS.copyPart > Readable String Errors
+		// 		- Proc2 > logExit Object with stdErr/stdOut
+		//		- the then() above, if it can't write the cue file
+
+		// If a task fails, I need to rename the OutPut folder to xxx_(failed) + unique
+		// Using EPOCH time, it should cover duplicate folder names
+		FS.renameSync(outDir,`${outDir} (${Date.now()}) (failed)`);
+
+		er = er[0];	// Just take the first error from the stack
+
+		if(typeof(er)=='string') {
+			rej(er);
+		}else{
+			// I can't bother extracting the exact error
+			// rej("FFmpeg : " + er.err.split('\n').last(2)); // Usually it is : Conversion Failed!
+			// Assuming that FFMPEG sent that error. What else could it be?
+			rej("FFmpeg general error. Not enough disk space?");
+		}
+
+	}).then( res, rej );
+
+})}// -------------------------------------------------------;
+
+
+
+/**
+ * Plan of encoding a CD, like `encodeCD()` but nothing is written to disk
+ * - Resolves the output folder and the new track files, and estimates their sizes
+ * - The DAT check and the `loud` rules are not done, they need to read all the tracks
+ * @param {String} file A cue file (or .ccd .gdi)
+ * @param {DEF_OPTIONS} opts Same as `encodeCD()`. Set `taken` to plan more CDs into the same folder
+ * @returns {Promise<Object>} {cd, output, cue, codec, size0, size1, tracks[], meta, notes[]}
+ * 		tracks : {no, type, file, fileLine, codec, size0, size1} | size1 is an estimate
+ * 		notes : What the plan could not check
+ * @throws {String} Same as `encodeCD()`
+ */
+export async function planCD(file, opts)
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let {enc, rules} = encodeChecks(o); // *THROWS {String}
+
+	let cd = loadCD(file);
+	if (cd.tracks.every(t => t.isData)) throw "+CD has no Audio Tracks";
+
+	let notes = [];
+	if (o.dat) notes.push(o.datname ? "DAT check is not done, the CD could be renamed" : "DAT check is not done");
+	if (needsLoudness(rules)) notes.push("Rules with `loud` are not measured, they don't match");
+
+	let meta = o.meta ? metaMatch(cd, o) : null;
+	if (o.gaps) cd.setGapMode(o.gaps);
+
+	if (o.size && o.only != "data") {
+		enc = FFMPEG.getEnc(`${o.enc.split(':')[0]}:${sizeBitrate(cd, o)}`); // *THROWS {String}
+		notes.push("Target size, the bitrate goes lower if the CD is bigger");
+	}
+
+	let output = outputDirName(cd, o.out, 'e', o.only, o.taken);
+	o.taken?.add(output);
+	if (o.zip) output += '.zip';
+
+	cd.prepareFilenames(o.template); // *THROWS {String}
+
+	let trackEnc = [];
+	let tracks = [];
+	cd.tracks.forEach((tr, i) => {
+		if( (tr.isData && o.only=="audio") || (!tr.isData && o.only=="data") ) return;
+		let fn = cd.readyFiles[i], file, size1;
+		if (tr.isData) {
+			// Same as encodeTracks(). ECM sizes are not known, they stay raw
+			tr.packed = (o.iso && tr.canCook) ? "ISO" : (o.ecm && tr.canPack) ? "ECM" : null;
+			file = fn + ({ISO: ".iso", ECM: ".bin.ecm"}[tr.packed] ?? ".bin");
+			size1 = tr.packed == "ISO" ? tr.sectors * 2048 : tr.byteSize;
+		} else {
+			let e = trackEnc[i] = matchRules(rules, tr) ?? enc;
+			tr.encExt = e.ext;
+			file = fn + e.ext;
+			size1 = e.kbps ? Math.ceil(tr.byteSize / 176400 * e.kbps * 125) :
+					e.ext == ".flac" ? Math.ceil(tr.byteSize * FLAC_RATIO) : tr.byteSize;
+		}
+		tracks.push({no: tr.no, type: tr.type, file, fileLine: cd.getFileLine(i, enc.ext),
+					codec: trackEnc[i]?.desc ?? null, size0: tr.byteSize, size1});
+	});
+
+	return {
+		cd, output,
+		cue: cd.CD_FILE + (o.only?" (partial)":"") + ".cue",
+		codec: codecList(cd, trackEnc, enc),
+		size0: cd.CD_SIZE,
+		size1: tracks.reduce((p, t) => p + t.size1, 0),
+		tracks, meta, notes
+	};
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Whole task of restoring a CBAE CD back to raw tracks
+ * Follows the same logic as `encodeCD()`
+ * - Tracks from lossless sources are checked against the original SHA1
+ * @param {String} file A cue file that was generated by CBAE
+ * @param {DEF_OPTIONS} opts Reads {out, template, parallel, single, zip, events}
+ * @returns {Promise<Object>} {cd, output, cue, size, duration}
+ * @throws {String}
+ */
+export function restoreCD(file, opts) { return new Promise( (res, rej) =>
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let time0 = Date.now(); // Unix Time
+
+	if (o.zip && !ZIP_MODES.includes(o.zip)) throw "Zip mode can be one of {store, deflate}";
+
+	let cd = loadCD(file);
+
+	if (!cd.CBAE_VER) throw "+Not a .cue file generated by CBAE";
+
+	let outDir = createOuputDir(cd, o.out, 'r'); // *THROWS {String}
+
+	cd.prepareFilenames(o.template);
+
+	emit(o, 'start', {cd, output: outDir, total: cd.tracks.length});
+
+	// All the restored track files, in order
+	let trackFiles = cd.readyFiles.map(f => PATH.join(outDir, f + '.bin'));
+
+	let done = 0;
+	const genTrackTask = function*() {
+		for(let i=0; i<cd.tracks.length; i++)
+		{
+			let tr = cd.tracks[i];
+			let p = tr.isEncoded ?
+				DecodeToRaw(TrackInput(cd, i), trackFiles[i], tr.byteSize, TrackFeed(cd, i)) :
+				TrackCopy(cd, i, trackFiles[i]);
+			yield p.then(() => emit(o, 'track', {cd, index: i, track: tr, done: ++done, total: cd.tracks.length}));
+		} return 0;
+	}// -------------------------;
+
+	TL.PromiseRun(genTrackTask(), o.parallel).then(async () => {
+
+		// -- Check restored tracks against the original hashes
+		//    Lossy tracks will never match, so don't bother with them
+		for(let i=0; i<cd.tracks.length; i++)
+		{
+			let tr = cd.tracks[i];
+			tr.hash = await FilePartHash(trackFiles[i], 0, 0, ['sha1', 'crc32']);
+			if(!tr.orig?.sha1 || tr.orig.deemph || (tr.isEncoded && tr.ftype != "FLAC")) continue;
+			if(tr.hash.sha1 != tr.orig.sha1) {
+				throw [`Track ${tr.noStr} does not match the original SHA1`];
+			}
+		}
+
+		let c;
+		if(o.single)
+		{
+			// -- Merge all tracks into one file
+			let bin = cd.CD_FILE + '.bin';
+			c = cd.buildCueFileMerged(bin);	// *THROWS {String}, before creating anything
+			L.log("> Merging all tracks into :", bin);
+			for(let f of trackFiles) {
+				await TFS.copyPart(f, PATH.join(outDir, bin), 0, 0, 'a');
+				FS.unlinkSync(f);
+			}
+		}else{
+			c = cd.buildCueFileForCBAE('.bin');
+		}
+
+		let cuef = cd.CD_FILE + ".cue";
+		CopyCdText(cd, outDir);
+		try{
+			L.log("> All tracks Complete. Writing CUE file");
+			FS.writeFileSync(PATH.join(outDir, cuef), c.join('\n'));
+		}catch(e) {
+			throw [`Failed to write : '${cuef}'`];
+		}
+
+		return {cd, output: outDir, cue: cuef, size: cd.CD_SIZE, duration: (Date.now() - time0) / 1000};
+
+	}).catch(er=>{
+
+		FS.renameSync(outDir,`${outDir} (${Date.now()}) (failed)`);
+
+		if(typeof(er)=='string') er = [er];	// buildCueFileMerged() throws a plain {String}
+		er = er[0];
+
+		if(typeof(er)=='string') {
+			rej(er);
+		}else{
+			rej("FFmpeg general error. Not enough disk space?");
+		}
+
+	}).then( r => r && PackOutput(r, o) ).then( res, rej );
+
+})}// -------------------------------------------------------;
+
+
+
+/**
+ * Whole task of merging all the tracks of a CD into a single .bin file
+ * - Encoded tracks (mp3, flac ...) are decoded to raw CDDA first
+ * @param {String} file A cue file to process
+ * @param {DEF_OPTIONS} opts Reads {out, sha1, zip, events}
+ * @returns {Promise<Object>} {cd, output, cue, bin, size, sha1, duration}
+ * @throws {String}
+ */
+export async function mergeCD(file, opts)
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let time0 = Date.now(); // Unix Time
+
+	if (o.zip && !ZIP_MODES.includes(o.zip)) throw "Zip mode can be one of {store, deflate}";
+
+	let cd = loadCD(file);
+
+	if (cd.tracks.every(t => t.ftype == "BINARY") && cd.tracks.filter(t => t.file).length == 1) {
+		throw "+CD is already a single .bin file";
+	}
+
+	if (cd.tracks.some(t => t.isEncoded) && !Proc2.checkRun('ffmpeg -version')) {
+		throw 'Cannot run ffmpeg. Is it set on path?';
+	}
+
+	let bin = cd.CD_FILE + '.bin';
+	let c = cd.buildCueFileMerged(bin);	// *THROWS {String}, before creating anything
+
+	let outDir = createOuputDir(cd, o.out, 'm'); // *THROWS {String}
+
+	emit(o, 'start', {cd, output: outDir, total: cd.tracks.length});
+
+	let binPath = PATH.join(outDir, bin);
+	let cuef = cd.CD_FILE + ".cue";
+	let sha1 = null;
+
+	// DEV: Tracks must be written in order, so no parallel operations here
+	try{
+		for(let i=0; i<cd.tracks.length; i++)
+		{
+			let tr = cd.tracks[i];
+			if(tr.isEncoded) {
+				let tmp = binPath + '.part';
+				await DecodeToRaw(TrackInput(cd, i), tmp, tr.byteSize, TrackFeed(cd, i));
+				await TFS.copyPart(tmp, binPath, 0, 0, 'a');
+				FS.unlinkSync(tmp);
+			}else{
+				await TrackCopy(cd, i, binPath, 'a');
+			}
+			emit(o, 'track', {cd, index: i, track: tr, done: i + 1, total: cd.tracks.length});
+		}
+
+		if(o.sha1) sha1 = (await FilePartHash(binPath)).sha1;
+
+		L.log("> All tracks Complete. Writing CUE file");
+		CopyCdText(cd, outDir);
+		try{
+			FS.writeFileSync(PATH.join(outDir, cuef), c.join('\n'));
+		}catch(e) {
+			throw `Failed to write : '${cuef}'`;
+		}
+
+	}catch(er){
+
+		FS.renameSync(outDir,`${outDir} (${Date.now()}) (failed)`);
+		if(typeof(er)=='string') throw er;
+		throw "FFmpeg general error. Not enough disk space?";
+	}
+
+	return PackOutput({cd, output: outDir, cue: cuef, bin, size: cd.CD_SIZE, sha1, duration: (Date.now() - time0) / 1000}, o);
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Verify the tracks of a CBAE generated CD against the original hashes
+ * that were stored in the .cue file.
+ * - Data tracks and RAW audio are read as they are
+ * - FLAC audio is decoded with FFmpeg
+ * - Lossy audio cannot be checked
+ * - Each `track` event has a {status} of "ok", "mismatch", "error", "nohash", "lossy", "deemph"
+ * @param {String} file A cue file that was generated by CBAE
+ * @param {DEF_OPTIONS} opts Reads {events}
+ * @returns {Promise<Object>} {cd, bad, tracks[]} bad : Track numbers that do not match
+ * @throws {String}
+ */
+export async function verifyCD(file, opts)
+{
+	let o = {...DEF_OPTIONS, ...opts};
+	let cd = loadCD(file);
+	if (!cd.CBAE_VER) throw "Not a .cue file generated by CBAE";
+	if (cd.tracks.some(t => t.ftype == "FLAC") && !Proc2.checkRun('ffmpeg -version')) {
+		throw "Cannot run ffmpeg. Is it set on path?";
+	}
+
+	emit(o, 'start', {cd, output: null, total: cd.tracks.length});
+
+	let bad = [];
+	let tracks = [];
+	for (let i = 0; i < cd.tracks.length; i++)
+	{
+		let tr = cd.tracks[i];
+		let status, h = null;
+
+		if (!tr.orig?.sha1) {
+			status = "nohash";
+		} else if (tr.isEncoded && tr.ftype != "FLAC") {
+			status = "lossy";
+		} else if (tr.orig.deemph) {
+			status = "deemph";
+		} else {
+			try {
+				h = await TrackHash(cd, i, ['sha1', 'crc32']);
+				status = (h.sha1 == tr.orig.sha1 && (!tr.orig.crc32 || h.crc32 == tr.orig.crc32)) ? "ok" : "mismatch";
+			} catch (er) {
+				L.error(er);
+				status = "error";
+			}
+			if (status != "ok") bad.push(tr.no);
+		}
+
+		tracks.push({no: tr.no, type: tr.type, status, hash: h});
+		emit(o, 'track', {cd, index: i, track: tr, done: i + 1, total: cd.tracks.length, status, hash: h});
+	}
+	return {cd, bad, tracks};
+}// -------------------------------------------------------;
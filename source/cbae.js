@@ -18,206 +18,37 @@
  *   Typescript to compile anything. 
  * - JLIB is a TypeScript codebase, but the .js files
  *   should already be compiled externally.
+ * - This is the CLI, it parses the options and prints the progress.
+ *   All the work is done in 'api.js', which can be imported by other programs
 ***************************************************************/
  
 import * as FS from 'node:fs';
 import PATH from 'node:path';
-import { cpus } from 'node:os';
+import { EventEmitter } from 'node:events';
 // --
 import D from "jlib";
 const {L, T, APP, tools:TL} = D;  // shorthands
 import * as TT from 'jlib/util/TerminalTools';
-import * as TFS from 'jlib/util/FsTools';
 import {Proc2} from 'jlib/util/Proc2';
 // --
-import {cdinfos} from './cdinfos.js';
+import {encodeCD, planCD, restoreCD, mergeCD, verifyCD, inspectCD,
+		FFMPEG, parseRules, findCDs, cdinfos, datfile, discdb, VERSION, DEF_THREADS} from './api.js';
+import {findConfigs, loadConfig, optionValue, CONFIG_FILE} from './config.js';
+import {journal, JOURNAL_FILE} from './journal.js';
+import {watcher, WATCH_LOG, WATCH_SETTLE} from './watch.js';
 
 
 // Logging 
 // L.set({ level: 4, file: "a:\\log_cbae.txt", pos: true, stderr: false });
 // L.set({ date: "", level: 4, file: "/tmp/log_cbae.txt", pos: true, stderr: true });
 
-// Use 3/4 of total threads for operations
-const DEF_THREADS = (Math.ceil(cpus().length * 0.75)) || 1;
-
 // -------------------------------------------------------;
 
-const FFMPEG = {
-		
-	// String to force RAW CDDA format. Can be used for input and output as well
-	rawStr : '-f|s16le|-ar|44100|-ac|2',
-
-	/** Encoders and predefined strings 
-	 * - The handler will auto CLAMP the bitrate for get() using {min} {max}
-	 * - get(bitrate) will return a full ffmpeg encoding string
-	 **/
-	enc : {
-
-		MP3 : {
-			// https://trac.ffmpeg.org/wiki/Encode/MP3
-			name: "Mp3", ext: ".mp3", pf: 'k Cbr', min: 32, max: 320,
-			get (b) { 
-				return `-c:a|libmp3lame|-b:a|${b}k`
-			}
-		},
-		
-		MP3V : {
-			// http://www.powyslug.org.uk/files/Converting_to_mp3_files_using_ffmpeg.pdf
-			name: "Mp3", ext: ".mp3", pf: 'k Vbr', min: 44, max: 256,
-			get (b) { 
-				// Gets an integer from 0-9. Reverses it, so 0 is highest Quality
-				return '-c:a|libmp3lame|-q:a|' +
-					TL.clamp(9 - Math.round(9 * (b - 44) / (212)), 0, 9);
-					// DEV : inlined maths, 212 = max-min
-			}
-		},
-
-		VORBIS: {
-			// https://wiki.hydrogenaud.io/index.php?title=Recommended_Ogg_Vorbis#Recommended_Encoder_Settings
-			// Docs say -1,-2 quality, but ffmpeg does not support it. Start with 0
-			// Supports Fractions in quality so -q 4.5 is valid (precision 2 tested OK)
-			name: "Vorbis", ext: ".ogg", pf: 'k Vbr', min: 64, max: 500,
-			get(b) {
-				let q = [64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 500], ind1 = 0;
-				// if(q.indexOf(b)>=0) found = q.indexOf(b); I could do this and save calculations but I don't care
-				while (b > q[ind1++]);
-				if (ind1 > 10) ind1 = 10;
-				let min = q[ind1 - 1];
-				let ratio = (b - min) / (q[ind1] - min);
-				return '-c:a|libvorbis|-q|' + TL.roundFloat(ind1 - 1 + ratio, 2);
-				// ^ Return a number from 0-10 depending on array position of bitrate
-			}
-		
-		},
-
-		OPUS: {
-			// https://ffmpeg.org/ffmpeg-codecs.html#libopus
-			name: "Opus", ext: ".opus", pf: 'k Vbr', min: 28, max: 500,
-			get(b) {
-				return `-c:a|libopus|-vbr|on|-compression_level|10|-b:a|${b}k`;
-			}
-		},
-
-		FLAC: {
-			name: "Flac Lossless", ext: ".flac",	// Lossless don't need the {min,max} fields
-			get() { return '-c:a|flac'; }
-		},
-
-		RAW: {
-			name: "CDDA Raw", ext:".bin",
-			get() { return '-c:a|pcm_s16le|-f|s16le|-ar|44100|-ac|2'; }
-		}
-	},
-
-	/**
-	 * Formatted ENC strings are like "MP3:56" | CODEC:KBPS 
-	 * 		CODEC : is the name of the field in {enc}
-	 * 		KBPS : is a value from CODEC.min -> CODEC.max | Will clamp |
-	 * @returns {{str:String, ext:String, desc:String}} .str : the ffmpeg string | .ext : extension | .desc : description 
-	 * Returns <null> for error
-	 */
-	getEnc:function(str)
-	{
-		if(!str) return null;
-		let S = str.toUpperCase().split(':');
-		
-		let e = this.enc[S[0]]; // Get codec object
-		if(!e) return null;	// Could not find
-
-		// Preliminary Object Build
-		let o = { ext:e.ext, desc:e.name, str:null }; 
-
-		let kb = parseInt(S[1]);
-		if(Number.isNaN(kb)) {
-			if(e.max) 			// Unless it is a Lossless codec
-				return null;	// Expecting a number. Error
-		}
-		
-		if (e.max) { 
-			kb = TL.clamp(kb, e.min, e.max);
-			o.desc += ` ${kb}${e.pf}`;
-		}
-
-		o.str = e.get(kb);
-		return o;
-	}// -------------------------;
-
-}// -------------------------------------------------------;
-
 
-
-/** Promise, get SHA1 of file/part of file . @throws */
-async function FilePartSHA1(source, readStart = 0, readLen = 0)
+/** Elapsed time string "00m:07s" from seconds */
+function timeStr(sec)
 {
-	let stat; 
-	try{ stat = FS.statSync(source); } catch(er) {
-		throw `Cannot read file '${source}'`;
-	}
-
-	// Only bother importing these if it has to
-	var crypto = await import('node:crypto');
-	var pipeline = await import('node:stream/promises');
-	var hash = crypto.createHash('sha1');
-
-	let srcSize = stat.size;
-	if (readLen == 0) readLen = srcSize - readStart;	// to the rest of the track
-	// DEV: it needs the -1 for readEnd because it is inclusive | i.e. (readStart to readStart) would read 1 byte
-	// Actual ending position to read
-	let readEnd = readStart + readLen - 1;
-	L.debug("Reading SHA1 for ", source, readStart, readEnd);
-
-	// - NEW: Promise way of handling pipes
-	let fd = await FS.promises.open(source, 'r');
-	let strIn = fd.createReadStream({start:readStart, end:readEnd});
-	await pipeline.pipeline(strIn, hash);
-	return hash.digest('hex');
-
-}// -- end fn --
-
-
-
-/** SYNC
- * Return a unique path to put the generated CD track files
- * - Tests if it can be created
- * - If exists, will increment a counter at the end of the path (2) until unique
- * 
- * @param {cdinfos} cd
- * @param {String} out The output path to create the subfolder. If null will set to same as input file 
- * @returns {String} the actual path that was created
- * @throws {String} When can't create
- */
-function createOuputDir(cd, out)
-{
-	let path = out??cd.FILE_DIR;
-	path = PATH.resolve(PATH.normalize(path));
-	path = PATH.join(path, cd.CD_FILE);
-	path += ' [e]' // encoded;
-
-	if(ONLY) {
-		path += ` [only ${ONLY}]`;
-	}
-
-	// Rename it like windows does, adds (1).. (2).. (3) at the end of the path
-	while(FS.existsSync(path))
-	{	
-		let res = /\((\d+)\)$/.exec(path);
-		if(!res) {
-			path += ' (2)';	// START counting at 2
-		}else{
-			// Increment the (x) by one
-			path = path.slice(0,res.index);
-			path += '(' + (parseInt(res[1]) + 1) + ')';
-		}
-	}
-	
-	L.log(`Creating CD output dir "${path}"`);
-	try{
-		FS.mkdirSync(path,{recursive:true});
-	}catch(e){
-		L.error(" .. FAILED");
-		throw `Cannot create : "${path}"`;
-	}
-	return path;
+	return new Date(sec * 1000 + 500).toISOString().slice(14,19).replace(':',"m:") + 's'; // hh:(mm:ss)
 }// -------------------------;
 
 
@@ -233,7 +64,7 @@ function printEStats(ue)
 	let t = ELOG.inputs.length;
 	if(t<2) return;
 	T.pac(` >> 'Input' (${t}) Cue Files\n`);
-	T.pac(` >> [Encoded] (${ELOG.success}/${t}) \n`);
+	T.pac(` >> [${ {e:PLAN ? 'Planned' : 'Encoded', r:'Restored', m:'Merged', w:'Encoded'}[APP.action] }] (${ELOG.success}/${t}) \n`);
 
 	let func = (map,str)=>{ if(map.size) {
 		T.pac(` >> ${str[0]} (${map.size}/${t}) ${str[1]}`);
@@ -246,190 +77,186 @@ function printEStats(ue)
 	func(ELOG.error,['{Failed}','\n']);
 
 	// T.pac(` >> Total Raw Size : ${TL.bytesToMBStr(ELOG.size0)}MB | Encoded Size ${TL.bytesToMBStr(ELOG.size1)}MB\n`);
+	if(PLAN) T.pac(` >> Total Size : ${TL.bytesToMBStr(ELOG.size0)}MB -> ~${TL.bytesToMBStr(ELOG.size1)}MB (estimate)\n`);
 	T.n();
 	if(ue) {
 		T.ptag("<:darkmagenta,white> >> USER ABORTED  <!,n>");
 	}
 }// -------------------------;
 
+
+
+/**
+ * Write a JSON document to stdout, one per line. For `-json`
+ * DEV: Synchronous, so that nothing is lost on `process.exit()` when piped
+ * @param {Object} o
+ */
+function printJSON(o)
+{
+	FS.writeSync(process.stdout.fd, JSON.stringify(o) + '\n');
+}// -------------------------;
+
+
+/**
+ * Called on PROGRAM EXIT with `-json`, instead of `printEStats()`
+ * @param {Boolean} ue User Abort??
+ **/
+function printJSONStats(ue)
+{
+	let map = (m) => [...m].map(([k, v]) => ({input: ELOG.inputs[k], reason: v}));
+	printJSON({ summary: {
+		action: APP.action,
+		inputs: ELOG.inputs.length,
+		success: ELOG.success,
+		skip: map(ELOG.skip),
+		error: map(ELOG.error),
+		size0: ELOG.size0,
+		size1: ELOG.size1,
+		aborted: ue
+	}});
+}// -------------------------;
+
+
 /**
- * Whole task of encoding a CD.
- * @param {String} file A cue file to process
+ * Print the result of a DAT check in a single line. From the `dat` event
+ * @param {Object} m From `datfile.matchCD()`
+ * @param {String} z Line prefix
  */
-function taskEncodeCD(file) { return new Promise( (res, rej) => 
+function printDat(m, z)
 {
-	// DEV: I am making this an explicit Promise, because I need access to reject()
-	// DEV: Only the errors that are sure to break the whole queue will panic
-
-	let time0 = Date.now(); // Unix Time
-	
-	let cd = new cdinfos();
-		cd.loadCue(file); // *THROWS {String}
-	
-	// This is the only SKIP case (error starting with +) There is no point in converting this CD
-	if (cd.tracks.every(t => t.isData)) throw "+CD has no Audio Tracks";
-
-	// Hold the bytes of all tracks encoded + data | Used for info only
-	let encSize = 0;
-
-	let out0 = APP.output;
-	if (out0 == "=src") out0 = null; // force "same dir as cue file"
-
-	// This will create a unique output dir to put the tracks
-	let outDir = createOuputDir(cd, out0); // *THROWS {String}
-	workingDir = outDir;
-
-	// >> Declare how the tracks are going to be named
-	let templ = null;
-	if(APP.option.sh) templ = "track{no}";
-	if(APP.option.tname) templ = APP.option.tname;
-	cd.prepareFilenames(templ);
-
-	let z="  - ";	// Formating Text
-	// T.pac(`${z}Output : "${(out0?outDir:"same as .cue")}"\n`);
-	T.pac(`${z}Output : "${outDir}"\n`);
-	if(ONLY=="data") {
-		T.pac(`${z}Processing `);
-	}else{
-		T.pac(`${z}Audio Enc : '${ENC.desc}'\n`);
-		if(ENC.ext==".bin")
-			T.pac(`${z}Copying Tracks `);
-		else
-			T.pac(`${z}Converting Tracks `);
+	if (!m.game) {
+		T.pac(`${z}DAT : {No matching game}\n`);
+		return;
 	}
-	
-	// Visual indication that something is going on, along with tasks/maxtasks
-	TT.Prog.start(cd.tracks.length);
 
-	/**
-	 * Generator that returns Promises to process each track of the CD
-	 * Either copy bytes to new files / encode audio to new files
-	 */
-	const genTrackTask = function*() {
+	T.pac(`${z}DAT : '${m.game}' `);
+	if (m.ok) {
+		T.pac(`[OK] All tracks match\n`);
+	} else {
+		if (m.bad.length) T.pac(`{BAD} Tracks (${m.bad.join(',')}) `);
+		if (m.missing.length) T.pac(`{MISSING} ${m.missing.map(n => `"${n}"`).join(', ')}`);
+		T.n();
+	}
+}// -------------------------------------------------------;
 
-		for(let i=0; i<cd.tracks.length; i++)
-		{
-			let tr = cd.tracks[i];
-			let outFile = PATH.join(outDir,cd.readyFiles[i]);
-			let copyData = tr.isData || (ENC.ext==".bin");
-
-			if( (tr.isData && ONLY=="audio") || (!tr.isData && ONLY=="data") )
-			{
-				yield new Promise(r=>r());	// Skip it. Promise that immediately resolves
-				continue;
-			}
 
-			if(copyData) 
-			{
-				encSize += tr.byteSize;
-				yield TFS.copyPart(cd.getTrackFilePath(i), `${outFile}.bin`, tr.byteStart, tr.byteSize);
- 			}
-			else // -- IS AUDIO TRACK
-			{
-				let strIn = FS.createReadStream(cd.getTrackFilePath(i),{ start: tr.byteStart, end: tr.byteStart + tr.byteSize - 1, flags: 'r' });
-				let ff = new Proc2("ffmpeg");
-				let prom = ff.startP(`-y|${FFMPEG.rawStr}|-i|pipe:0|${ENC.str}|${outFile + ENC.ext}`);
-				ff.proc.prependListener('close', (s)=>{
-					// > Get the encoded size of the file. FFMPEG gives out the KB of the file
-					// The last 120 characters of the FFMPEG output Should contain :
-					// "video:0kB audio:17994kB subtitle:0kB other streams:0kB global headers:0kB muxing overhead: 0.044981%"
-					// DEV, not checking for s>0 because if error,it will do nothing
-					let inf = ff.logExit.err.slice(-120); 
-					let res = /audio:(\d+)kB/.exec(inf);
-					if(res) encSize += parseInt(res[1])*1024;
-				});
-				strIn.pipe(ff.stdin);
-				yield prom;
-			}
+/**
+ * Print the result of a metadata lookup in a single line. From the `meta` event
+ * @param {{cd:Object, match:Object, error:String}} e
+ * @param {String} z Line prefix
+ */
+function printMeta(e, z)
+{
+	if (e.error) {
+		T.pac(`${z}META : {ERROR} ${e.error}\n`);
+	} else if (!e.match) {
+		T.pac(`${z}META : {No matching disc}\n`);
+	} else {
+		let cd = e.cd;
+		T.pac(`${z}META : '${[cd.CD_ARTIST, cd.CD_TITLE].filter(Boolean).join(' / ')}' [OK] Titles for (${e.match.tracks.filter(t => t?.title).length}) tracks\n`);
+	}
+}// -------------------------------------------------------;
 
-		} return 0;
-	}// -------------------------;
 
-	// --
-	// DEV: PromiseRun will exec promises in parallel with a hard limit
-	TL.PromiseRun(genTrackTask(), APP.option.p ?? DEF_THREADS, (progress) => {
-		
-		TT.Prog.setTask(progress, cd.tracks.length);
 
-	}).then(() => {
-		
-		// -- All tracks encoded.
-		TT.Prog.stop();
-
-		// This string "600MB -> 200MB" is used both in the .cue file and printed on console
-		let byteStr = `${TL.bytesToMBStr(cd.CD_SIZE)}MB -> ${TL.bytesToMBStr(encSize)}MB`;
-
-		// DEV : Writing, from the [OK] positionm
-			// - Converting Tracks [OK]
-			// - CD Size : 624MB -> 41MB  | time 00m:07s
-
-		T.pac(`[OK]\n`);
-		T.pac(z + `CD Size : ` + byteStr);
-		T.ptag('<darkgray,it> | time ' + new Date(Date.now() - time0 + 500).toISOString().slice(14,19).replace(':',"m:") + 's<!,n>'); // hh:(mm:ss)
-
-		// --> Write the new CUE file
-		let c = ['REM ' + '-'.repeat(50)];
-			c.push('REM | ' + cd.CD_TITLE);
-			c.push(c[0]); // Add the `---` line again
-			c.push(`REM | Converted with CBAE v${APP.infos().ver} - Cue/Bin Audio Encoder`);
-			c.push(`REM | CD Size : ${byteStr}`);
-			c.push('REM | Audio Quality : ' + ENC.desc);
-			c.push(c[0], ''); 
-			c = c.concat(cd.buildCueFileForCBAE(ENC.ext));
-
-		let cuef = cd.CD_FILE + (ONLY?" (partial)":"") + ".cue";
-		try{
-			L.log("> All tracks Complete. Writing CUE file");
-			FS.writeFileSync(PATH.join(outDir, cuef), c.join('\n'));
-		}catch(e) {
-			throw [`Failed to write : '${cuef}'`]; //-> DEV: String[]
-		}
+/**
+ * Print the plan of encoding a CD, from `planCD()`
+ * @param {Object} r Result of `planCD()`
+ * @param {String} z Line prefix
+ */
+function printPlan(r, z)
+{
+	let X = TL.bytesToMBStr;
+	T.pac(`${z}Output : "${r.output}"\n`);
+	T.pac(`${z}Audio Enc : '${r.codec}'\n`);
+	for (let t of r.tracks) {
+		// DEV: ECM files are declared as the .bin file they restore to
+		let f = t.fileLine.includes(`"${t.file}"`) ? '' : ` -> "${t.file}"`;
+		T.pac(`\t> Track${String(t.no).padStart(2, '0')} | ${t.fileLine}${f} | ~${(t.size1 / 1048576).toFixed(1)}MB\n`);
+	}
+	for (let n of r.notes) T.pac(`${z}Note : ${n}\n`);
+	T.pac(`${z}CD Size : ${X(r.size0)}MB -> ~${X(r.size1)}MB (estimate)\n`);
+}// -------------------------------------------------------;
 
-		ELOG.success++;
-		ELOG.size0 += cd.CD_SIZE;
-		ELOG.size1 += encSize;
-		workingDir = null;
 
-	}).catch(er=>{  
 
-		console.error(er);
-		// Here are errors from ::
-		// 		- TFS.copyPart > Readable String Errors
-		// 		- Proc2 > logExit Object with stdErr/stdOut
-		//		- the then() above, if it can't write the cue file
-		
-		if(TT.Prog.stop()) {
-			T.n();	// Make sure The ERROR print on the parent starts at a new line.
+/**
+ * Set the options that were not given on the command line, from the config files and the preset
+ * - Called once, after APP.init()
+ * @returns {{files:String[], preset:String, sources:Object}} sources : Where each option was set
+ * @throws {String} Errors
+ */
+function applyConfig()
+{
+	// DEV: Options that only make sense for a single run
+	const CLI_ONLY = ['json'];
+
+	let dir = APP.input[0] ? PATH.resolve(APP.input[0]) : process.cwd();
+	if(!FS.statSync(dir, {throwIfNoEntry:false})?.isDirectory()) dir = PATH.dirname(dir);
+	let cfg = loadConfig(findConfigs(dir));	// *THROWS {String}
+	let opts = APP.infos().options;
+	let isSet = (k) => k == 'o' ? APP.output != null : (APP.option[k] ?? "") !== "";
+
+	let values = {};
+	let sources = {};
+	for (let k in cfg.options) {
+		values[k] = cfg.options[k];
+		sources[k] = `config "${cfg.sources[k]}"`;
+	}
+
+	let preset = APP.option.preset || cfg.options.preset;
+	if (preset) {
+		let p = cfg.presets[preset];
+		if (!p) {
+			let names = Object.keys(cfg.presets);
+			throw `Unknown preset "${preset}" | ` + (names.length ? `Presets : ${names.join(', ')}` : 'There are no presets in the config files');
+		}
+		for (let k in p) {
+			if (k == 'preset') throw `Preset "${preset}" cannot set another preset`;
+			values[k] = p[k];
+			sources[k] = `preset "${preset}"`;
 		}
+	}
 
+	for (let k in opts) if (isSet(k)) sources[k] = "command line";
 
-		// If a task fails, I need to rename the OutPut folder to xxx_(failed) + unique
-		// Using EPOCH time, it should cover duplicate folder names
-		FS.renameSync(outDir,`${outDir} (${Date.now()}) (failed)`);
+	for (let k in values)
+	{
+		if (!opts[k] || CLI_ONLY.includes(k)) throw `Option "${k}" cannot be set in a config file`;
+		if (sources[k] == "command line") continue;
+		let v = optionValue(k, values[k]);
+		if (v == null) continue;
+		if (k == 'o') APP.output = v; else APP.option[k] = v;
+		// DEV: APP.init() only sets the log from the command line
+		if (k == 'log') L.set({ file: v.split('=').pop(), level: parseInt(v[0]) });
+	}
 
-		er = er[0];	// Just take the first error from the stack
-		
-		if(typeof(er)=='string') {
-			rej(er);
-		}else{
-			// I can't bother extracting the exact error
-			// rej("FFmpeg : " + er.err.split('\n').last(2)); // Usually it is : Conversion Failed!
-			// Assuming that FFMPEG sent that error. What else could it be?
-			rej("FFmpeg general error. Not enough disk space?");
-		}
+	L.log('- Options (config) :', APP.option);
+	return {files: cfg.files, preset, sources};
+}// -------------------------------------------------------;
 
-	}).then( res );
 
-})}// -------------------------------------------------------;
 
+// The Terminal object writes to stdout, keep it clean for the JSON documents of `-json`
+// DEV: Before APP.init(), it also writes to the terminal
+if(process.argv.includes('-json'))
+{
+	T.print = (s) => { process.stderr.write(s); return T; };
+	T.println = (s) => T.print(s + T.EOL);
+	T.clearLine = (d = 0) => { process.stderr.clearLine?.(d); return T; };
+}
 
 
 APP.init({
-	name:"CBAE", ver:"1.2.1", desc:"Cue/Bin Audio Encoder",
+	name:"CBAE", ver:VERSION, desc:"Cue/Bin Audio Encoder",
 	actions:{
 		e : "!Encode cue/bin to output folder. Will create the new<|>track files and the new .cue file under a subfolder", // ! means default, it will set this action if you dont set any
 		i : "Display cue/bin information along with SHA1 checksum of tracks ",
-		// r : "Restore encoded audio cd back to raw audio tracks", -- future? --
+		r : "Restore a cue file generated by CBAE back to raw<|>cue/bin, under a subfolder",
+		v : "Verify a cue file generated by CBAE against the<|>checksums of the original tracks",
+		m : "Merge all the tracks of a cue file into a single .bin<|>and build a new .cue file, under a subfolder",
+		w : "Watch a folder and encode the CDs that are copied<|>in it, with the options of 'e'. Runs until stopped",
+		c : `Show the effective settings, from the config files<|>(${CONFIG_FILE}), the preset and the command line`,
 	},
 	options:{
 		enc : [	"Audio Codec String <yellow>ID:KBPS<!> <|>"+
@@ -437,10 +264,36 @@ APP.init({
 				"<yellow>MP3<!>:(32-320) Constant Bitrate | <yellow>MP3V<!>:(44-256) Variable Bitrate <|>" +
 				"<yellow>VORBIS<!>:(64-500) | <yellow>OPUS<!>:(28-500) | <yellow>FLAC<!> | <yellow>RAW<!> <|>" +
 				"<darkgray,it> e.g. -enc OPUS:64 , -enc FLAC, -enc VORBIS:320<!>", 1],
+		rules: ["Pick the codec of each audio track, over <yellow>-enc<!><|>" +
+				"Conditions <darkyellow>no=2,5-8 dur<5 title~text loud<-40 <!>joined with &<|>" +
+				"<darkgray,it> e.g. -rules \"dur<5 FLAC; no=2 OPUS:128\"<!>", 1],
+		size: ["Target size of each new CD in MB, picks the bitrate<|>to fit it, up to the one of <yellow>-enc<!> <darkgray>| e.g. -enc OPUS:128 -size 100<!>", 1],
+		tsize: ["Target size of all the new CDs in MB, split by<|>their audio size <darkgray>| e.g. -enc OPUS:128 -tsize 700<!>", 1],
 		p  : ["Set max parallel operations.", 1, DEF_THREADS],		// description,required,default value (just for help)
 		sh : ["-Short filenames for new Tracks | <darkgray>e.g. 'track01.bin track02.ogg ..'<!><|><darkgray>soon to be deprecated in favor of -tname<!>"],
 		only : ["Process only <yellow>{data, audio}<!> from the tracks<|>For advanced use <darkgray>| e.g. -only audio<!>",1],
-		tname: ["Customize tracknames with a template string.<|>Valid Tags <darkyellow>{no} {cdt} {tt} {ta} <darkgray> | e.g. \"track{no}\"<!>",1]
+		tname: ["Customize tracknames with a template string.<|>Valid Tags <darkyellow>{no} {cdt} {tt} {ta} <darkgray> | e.g. \"track{no}\"<!>",1],
+		single: ["Restore to a single merged .bin file <darkgray>| for action 'r'<!>"],
+		dat: ["Check the tracks against a Logiqx XML DAT file<|>(Redump, No-Intro) <darkgray>| for actions 'e' and 'i'<!>",1],
+		meta: ["Look up track titles in a local freedb directory<|>or a JSON file <darkgray>| for actions 'e' and 'i'<!>",1],
+		datname: ["Use the game name from the DAT as the CD title<|>This will name the output folders and files"],
+		gdi: ["Also write a Dreamcast <yellow>.gdi<!> file that points to the new tracks"],
+		ecm: ["Pack the data tracks with ECM <darkgray>| e.g. track01.bin.ecm<!>"],
+		tags: ["Extra metadata tags for the audio files <darkgray>| e.g. -tags \"date=1996;genre=Game\"<!>",1],
+		gaps: ["Where to put the pregaps of audio tracks <yellow>{next, prev, drop}<!><|><darkgray>next: start of the track (default) | prev: end of the previous track<|>drop: remove them, use PREGAP commands<!>",1],
+		silence: ["What to do with silent audio tracks <yellow>{raw, min, gap}<!><|><darkgray>raw: copy them as .bin | min: lowest bitrate of -enc<|>gap: write digital silence as a POSTGAP<!>",1],
+		deemph: ["Apply a de-emphasis filter to audio tracks with <yellow>FLAGS PRE<!> <darkgray>| when encoding<!>"],
+		iso: ["Convert <yellow>MODE1/2352<!> data tracks to <yellow>MODE1/2048<!> .iso files"],
+		sha1: ["Print the SHA1 of the merged .bin file <darkgray>| for action 'm'<!>"],
+		zip: ["Pack each new CD folder into a .zip file <yellow>{store, deflate}<!><|><darkgray>| for actions 'e', 'r', 'm', 'w'<!>",1],
+		preset: ["Use a named preset of options from the config files <darkgray>| e.g. -preset dosbox<!>",1],
+		plan: ["Show what encoding would do, nothing is written<|>Output folders, track files, estimated sizes <darkgray>| for action 'e'<!>"],
+		tree: ["Keep the folder structure of input folders under<|>the output folder <darkgray>| for actions 'e' and 'w'<!>"],
+		resume: [`Skip the CDs that an earlier run finished, redo the<|>unfinished ones. Keeps a journal (${JOURNAL_FILE})<|>in the output folder <darkgray>| for actions 'e', 'r', 'm'<!>`],
+		settle: ["Seconds that the files of a new CD must not change<|>before it is encoded <darkgray>| for action 'w'<!>", 1, WATCH_SETTLE],
+		done: ["Move the source files of the CDs that were encoded<|>to this folder <darkgray>| for action 'w'<!>", 1],
+		failed: ["Move the source files of the CDs that failed<|>to this folder <darkgray>| for action 'w'<!>", 1],
+		json: ["Write JSON results to stdout, one line per CD<|>Other text goes to stderr <darkgray>| for actions 'i', 'e', 'r', 'm', 'w'<!>"]
 	},
 
 help:{ 
@@ -451,7 +304,8 @@ info:
   Encodes the Audio Tracks of a cue/bin CD image and builds a new .cue file`,
 		
 usage:
-`<t,magenta>input:<!> .cue files only. Supports multiple files.<n,t,magenta>output:<!> \
+`<t,magenta>input:<!> .cue, .ccd (CloneCD) or .gdi files, also in .zip files. Supports multiple files.<n,t,t>\
+Folders are searched with their subfolders <darkgray>| for actions 'e' and 'i'<!><n,t,magenta>output:<!> \
 A new folder will be created for each cue/bin in this folder.<n,t,t>\
 You can use <yellow>=src<!> for source folder`,
 
@@ -469,7 +323,7 @@ post:
 // -------------------------------------------------------;
 
 	// FFMPEG Global Encoding string that was parsed.
-	// Gotten once on init and used on all inputs later
+	// Gotten once on init and used for printing infos
 	/** @type {{str:String, ext:String, desc:String}} */
 	var ENC;
 
@@ -485,86 +339,295 @@ post:
 
 	var workingDir = null;	// Keep the output folder the the current working task
 
+	// DAT file to check the tracks against. Set with `-dat`
+	/** @type {datfile} */
+	var DAT = null;
+
+	// CD metadata database to look up titles. Set with `-meta`
+	/** @type {discdb} */
+	var META = null;
+
 	T.setCur(false);
 	APP.printBanner();
 
+	// Config files and preset that were applied, and where each option came from
+	var CONFIG;
+	try{
+		CONFIG = applyConfig();
+	}catch(er){
+		APP.panic(T.autoColor(er));
+	}
+
 	var ONLY = APP.option.only;
-	if(ONLY=="data") APP.option.enc="RAW";	// HACK: Avoid errors when checking for audio codec later.
+	var JSON_OUT = APP.option.json;	// Write results as JSON lines to stdout
+	var PLAN = APP.option.plan;		// Only show what action 'e' would do
+	var RESUME = APP.option.resume;	// Keep a journal of the batch, skip what is done
+	var TREE = new Map();	// Inputs found in folders <input, subfolder in the input folder>
+	var TAGS = {};	// Extra metadata tags for the audio files, from `-tags`
 
 	// -------------------------;
 
+	if(APP.action=='c') //:action:c
+	{
+		L.log('> Action: Config ::');
+		let opts = APP.infos().options;
+		let eff = {};	// For `-json`
+		if(!CONFIG.files.length) T.pac(` > Config : {none} | Put a '${CONFIG_FILE}' in the home folder or an input folder\n`);
+		CONFIG.files.forEach(f => T.pac(` > Config : "${f}"\n`));
+		if(CONFIG.preset) T.pac(` > Preset : '${CONFIG.preset}'\n`);
+		for (let k in opts)
+		{
+			let flag = !Array.isArray(opts[k]) || opts[k][1] == null;	// Option without a parameter
+			let v = k == 'o' ? APP.output : APP.option[k];
+			let src = CONFIG.sources[k];
+			if ((v ?? "") === "") {
+				if (!Array.isArray(opts[k]) || opts[k][2] == null) continue;
+				v = String(opts[k][2]);
+				src = "default";
+			}
+			eff[k] = {value: flag ? true : v, source: src};
+			// DEV: Values are printed as they are, autoColor() breaks on `<` e.g. "dur<5 FLAC"
+			T.pac(`\t-${k.padEnd(8)} `).print((flag ? 'on' : v).padEnd(16)).pac(` | ${src}\n`);
+		}
+		if(JSON_OUT) printJSON({configs: CONFIG.files, preset: CONFIG.preset ?? null, options: eff});
+		process.exit(0);
+	}// -- end action (c)
+
 	if(APP.input.length==0)
 	{
 		T.ptag("use <yellow>--help<!> for help<n>");
 		process.exit(0);
 	}
 
+	// Input folders are replaced with the CDs found in them and their subfolders
+	// DEV: Cue files that CBAE generated are skipped, so that an output folder can be an input
+	if(APP.action=='e' || APP.action=='i')
+	{
+		for(let i = APP.input.length - 1; i >= 0; i--)
+		{
+			let dir = APP.input[i];
+			if(!FS.statSync(dir, {throwIfNoEntry:false})?.isDirectory()) continue;
+			let found = findCDs(dir);
+			T.pac(` > Found (${found.length}) CDs in "${dir}"\n`);
+			for(let f of found) TREE.set(f, PATH.relative(dir, PATH.dirname(f)));
+			APP.input.splice(i, 1, ...found);
+		}
+		if(APP.input.length==0) APP.panic("No CDs found");
+	}
+
+	if(APP.option.dat)
+	{
+		try{
+			DAT = new datfile(APP.option.dat);
+		}catch(er){
+			APP.panic(T.autoColor(er));
+		}
+		T.pac(` > DAT : '${DAT.NAME}' | Games (${DAT.games.length})\n`);
+	}
+
+	if(APP.option.meta)
+	{
+		try{
+			META = new discdb(APP.option.meta);
+		}catch(er){
+			APP.panic(T.autoColor(er));
+		}
+		T.pac(` > META : '${APP.option.meta}'\n`);
+	}
+
+	// Options for all the API calls, the progress is printed from the events
+	var OPTS = {
+		out: APP.output == "=src" ? null : APP.output,	// null : same dir as cue file
+		only: ONLY,
+		template: APP.option.tname ?? (APP.option.sh ? "track{no}" : null),
+		parallel: parseInt(APP.option.p) || DEF_THREADS,
+		enc: APP.option.enc,
+		rules: APP.option.rules,
+		ecm: APP.option.ecm,
+		iso: APP.option.iso,
+		deemph: APP.option.deemph,
+		gaps: APP.option.gaps,
+		silence: APP.option.silence,
+		tags: TAGS,
+		gdi: APP.option.gdi,
+		dat: DAT,
+		datname: APP.option.datname,
+		meta: META,
+		single: APP.option.single,
+		sha1: APP.option.sha1,
+		zip: APP.option.zip,
+		events: new EventEmitter()
+	};
+
 	if(APP.action=='i') //:action:i
 	{
 		APP.assertIO('im');
 		L.log('> Action: Information ::');
 		let qlen = APP.input.length;
 		let qnow = 0;
+		let X=TL.bytesToMBStr; // shortcut
+		let z="  > ";	// Formating Text
+
+		OPTS.events.on('start', (e) => {
+			let cd = e.cd;
+			let auds= cd.getAudioSize();
+			let gaps= cd.getGapSize();
+			T.pac(`${z}CD Title:'${cd.CD_TITLE}' | Size:${X(cd.CD_SIZE)}MB (Data:${X(cd.CD_SIZE-auds)}MB Audio:${X(auds)}MB` +
+				(gaps ? ` Gaps:${X(gaps)}MB` : '') + `) | Tracks ${cd.tracks.length}\n`);
+			T.pac(`${z}CDDB ID: ${e.cddb} | MusicBrainz ID: ${e.musicbrainz}\n`);
+		});
+		OPTS.events.on('meta', (e) => {
+			printMeta(e, z);
+			if(e.match) e.cd.tracks.forEach(tr => {
+				if(tr.title) T.pac(`\t> Track${tr.noStr} | ${tr.artist ? tr.artist + ' - ' : ''}${tr.title}\n`);
+			});
+		});
+		OPTS.events.on('track', (e) => {
+			let tr = e.track;
+			T.pac(`\t> Track${tr.noStr} | Type:${tr.type.padEnd(10)} | `);
+			if(e.error) T.pac(`{ ERROR READING } | file ${tr.file ?? tr.shared} \n`);
+			else {
+				T.pac(`Size:${X(tr.byteSize).padStart(3)}MB | SHA1: ${e.hash.sha1}`);
+				if(tr.silence == "digital") T.pac(` | Silence : digital`);
+				if(tr.silence == "near") T.pac(` | Silence : near, peak ${(20 * Math.log10(tr.peak / 32768)).toFixed(0)}dB`);
+				T.n();
+			}
+		});
+		OPTS.events.on('dat', (e) => printDat(e.match, z));
 
-		APP.input.queueRun( (inp, next0) => {
+		APP.input.queueRun( (inp, next) => {
 			if (!inp) {
-				process.exit(0); 
+				process.exit(0);
 			}
 			let ts = qlen > 1 ? `(${++qnow}/${qlen}) ` : '';	// Puts a (1/10) after Input
 			T.pac(`\n==> Input ${ts} : "${inp}"\n`);
-			let cd = new cdinfos();
-			try{
-				cd.loadCue(inp);
-			}catch(e){
+
+			inspectCD(inp, OPTS)
+			.then( (r)=>{
+				if(JSON_OUT) {
+					let {cd, ...doc} = r;
+					printJSON(doc);
+				}
+			})
+			.catch( (e)=>{
 				L.error(e);
-				T.pac(`  > {ERROR} : ${e}\n`);
-				return next0();
+				T.pac(`${z}{ERROR} : ${e}\n`);
+				if(JSON_OUT) printJSON({input: inp, error: e});
+			})
+			.finally(next);
+		});
+
+	}// -- end action (i)
+
+
+	if(APP.action=='v') //:action:v
+	{
+		APP.assertIO('im');
+		L.log('> Action: Verify ::');
+		let qlen = APP.input.length;
+		let qnow = 0;
+		let fail = [];	// Inputs that failed to verify
+
+		OPTS.events.on('start', (e) => {
+			T.pac(`  > CD Title:'${e.cd.CD_TITLE}' | Converted with CBAE v${e.cd.CBAE_VER} | Tracks ${e.cd.tracks.length}\n`);
+		});
+		OPTS.events.on('track', (e) => {
+			let tr = e.track;
+			T.pac(`\t> Track${tr.noStr} | Type:${tr.type.padEnd(10)} | `);
+			switch(e.status) {
+				case "ok": T.pac(`[OK]\n`); break;
+				case "mismatch": T.pac(`{MISMATCH} | SHA1: ${e.hash.sha1}\n`); break;
+				case "error": T.pac(`{ ERROR READING }\n`); break;
+				case "nohash": T.pac(`No hash info\n`); break;
+				case "lossy": T.pac(`Lossy '${tr.ftype}', not checked\n`); break;
+				case "deemph": T.pac(`De-emphasized, not checked\n`); break;
 			}
+		});
 
-			let X=TL.bytesToMBStr; // shortcut
-			let auds= cd.getAudioSize();
+		APP.input.queueRun( (inp, next) => {
+			if (!inp) {
+				if(qlen > 1) {
+					T.pac(`\n >> [Verified] (${qlen - fail.length}/${qlen}) Cue Files\n`);
+					fail.forEach((f, c) => T.pac(`\t${c + 1}.'${f}'\n`));
+				}
+				process.exit(fail.length ? 1 : 0);
+			}
+			let ts = qlen > 1 ? `(${++qnow}/${qlen}) ` : '';
+			T.pac(`\n==> Input ${ts} : "${inp}"\n`);
 
-			T.pac(`  > CD Title:'${cd.CD_TITLE}' | Size:${X(cd.CD_SIZE)}MB (Data:${X(cd.CD_SIZE-auds)}MB Audio:${X(auds)}MB) | Tracks ${cd.tracks.length}\n`);
-
-			// DEV: queueRun exhausts the array, but I need it intact, that's why I am cloning it
-			// 		queueRun is defined in `jlib/util/tools`
-			[...cd.tracks].queueRun( (tr, next) => {
-				if(!tr) return next0();	// Devnote: Automatic new event loop tick
-				T.pac(`\t> Track${tr.noStr} | Type:${tr.type.padEnd(10)} | `);
-				FilePartSHA1(cd.getTrackFilePath(tr.no-1), tr.byteStart, tr.byteSize)
-				.then( (sha1)=>{
-					T.pac(`Size:${X(tr.byteSize).padStart(3)}MB | SHA1: ${sha1}\n`);
-				})
-				.catch(er=>{
-					T.pac(`{ ERROR READING } | file ${file} \n`);
-				})
-				.finally(next);
-			});
+			verifyCD(inp, OPTS)
+			.then( (r)=>{
+				if(r.bad.length) {
+					T.pac(`  > {FAILED} : Tracks (${r.bad.join(',')}) do not match the original\n`);
+					fail.push(inp);
+				} else {
+					T.pac(`  > [OK] : All checked tracks match the original\n`);
+				}
+			})
+			.catch( (e)=>{
+				L.error(e);
+				T.pac(`  > {ERROR} : ${e}\n`);
+				fail.push(inp);
+			})
+			.finally(next);
 		});
 
-	}// -- end action (i)
-	
+	}// -- end action (v)
+
 
-	if(APP.action=='e')	// :action:e
+	if(APP.action=='e' || APP.action=='r' || APP.action=='m' || APP.action=='w')	// :action:e :action:r :action:m :action:w
 	{
-		APP.assertIO('imo');
-		
-		L.log('> Action: Encode ::');
-		// Original queue length
+		APP.assertIO(APP.action=='w' ? 'io' : 'imo');
+
+		L.log({e:'> Action: Encode ::', r:'> Action: Restore ::', m:'> Action: Merge ::', w:'> Action: Watch ::'}[APP.action]);
+		// Original queue length, action 'w' adds the CDs as they come
 		let qlen = APP.input.length;
 		// Current queue index
 		let qnow = 0;
 		// Print a deco line
 		let printLine = () => T.ptag('  <darkgray>' + '-'.repeat(40) + "<!,n>");
 
-		ELOG.inputs = [...APP.input];
+		ELOG.inputs = APP.action=='w' ? [] : [...APP.input];
+
+		// -tsize, in bytes. Each CD gets a part of what is left, see `sizeOf()`
+		let TSIZE = null;
 
 		// Important checks, Errors will quit the program
 		try {
-			if(!Proc2.checkRun('ffmpeg -version')) throw 'Cannot run ffmpeg. Is it set on path?'; 
-			if(!APP.option.enc) throw "You need to set an encoder with '-enc'";
-			ENC = FFMPEG.getEnc(APP.option.enc);
-			if(!ENC) throw "Encoding String Error."
+			// DEV: Merge only needs ffmpeg for encoded tracks, it will check later
+			if(PLAN && APP.action!='e') throw "Option '-plan' is only for action 'e'";
+			if(APP.option.zip && !["store", "deflate"].includes(APP.option.zip)) throw "Zip mode can be one of {store, deflate}";
+			if(APP.action=='w') {
+				if(!FS.statSync(APP.input[0], {throwIfNoEntry:false})?.isDirectory()) throw `Action 'w' needs a folder to watch`;
+				if(APP.option.tsize) throw "Option '-tsize' is not for action 'w', use '-size'";
+				if(APP.option.settle && !(parseFloat(APP.option.settle) >= 0)) throw `Settle time is in seconds | e.g. -settle 30`;
+			}
+			if(APP.action!='m' && !PLAN && !Proc2.checkRun('ffmpeg -version')) throw 'Cannot run ffmpeg. Is it set on path?';
+			if(APP.action=='e' || APP.action=='w') {
+				if(ONLY=="data") OPTS.enc="RAW";	// Just for printing, the API will not check the codec
+				if(!OPTS.enc) throw "You need to set an encoder with '-enc'";
+				ENC = FFMPEG.getEnc(OPTS.enc);
+				if(!ENC) throw "Encoding String Error."
+				if(ONLY!="data") parseRules(OPTS.rules);	// Only to check them, the API parses them again
+				if(APP.option.tags) {
+					for(let t of APP.option.tags.split(';')) {
+						let res = /^\s*(\w+)\s*=(.*)$/.exec(t);
+						if(!res) throw `Tags format is "key=value;key=value" | e.g. -tags "date=1996;genre=Game"`;
+						TAGS[res[1].toLowerCase()] = res[2].trim();
+					}
+				}
+				if(APP.option.gaps && !["next", "prev", "drop"].includes(APP.option.gaps)) throw "Gap mode can be one of {next, prev, drop}";
+				if(APP.option.silence && !["raw", "min", "gap"].includes(APP.option.silence)) throw "Silence mode can be one of {raw, min, gap}";
+				if(APP.option.silence == "gap" && APP.option.gdi) throw "Silence mode 'gap' does not work with '-gdi', a .gdi file has no POSTGAP";
+				if(APP.option.size && APP.option.tsize) throw "Use either '-size' or '-tsize'";
+				for(let k of ['size', 'tsize']) if(APP.option[k]) {
+					let mb = parseFloat(APP.option[k]);
+					if(!(mb > 0)) throw `Target size is in MB | e.g. -${k} 100`;
+					if(ONLY!="data" && !FFMPEG.enc[OPTS.enc.toUpperCase().split(':')[0]].max) throw `Target size needs a codec with a bitrate | e.g. -enc OPUS:96`;
+					if(k=='size') OPTS.size = Math.floor(mb * 1048576);
+					else TSIZE = Math.floor(mb * 1048576);
+				}
+			}
 		}catch(er){
 			APP.panic(T.autoColor(er));
 		}
@@ -582,44 +645,255 @@ post:
 					}catch(e){}
 				}
 			}
-			printEStats(c==1223);
+			if(JSON_OUT) printJSONStats(c==1223);
+			else printEStats(c==1223);
 		});
 
-		// -- Run 'taskEncodeCD' for each input file. Wait until it completes
-		APP.input.queueRun( (inp, next) => {
+		let z="  - ";	// Formating Text
+		OPTS.events.on('dat', (e) => printDat(e.match, z));
+		OPTS.events.on('meta', (e) => printMeta(e, z));
+		OPTS.events.on('start', (e) => {
+			workingDir = e.output;
+			JNOW?.jr.start(APP.action, JNOW.input, e.output);
+			T.pac(`${z}Output : "${e.output}"\n`);
+			if(APP.action=='r') {
+				T.pac(`${z}Restoring Tracks `);
+			}else if(APP.action=='m') {
+				T.pac(`${z}Merging Tracks `);
+			}else if(ONLY=="data") {
+				T.pac(`${z}Processing `);
+			}else{
+				T.pac(`${z}Audio Enc : '${e.codec}'\n`);
+				if(OPTS.rules) T.pac(`${z}Rules : `).print(`'${OPTS.rules}'\n`);
+				if(ENC.ext==".bin")
+					T.pac(`${z}Copying Tracks `);
+				else
+					T.pac(`${z}Converting Tracks `);
+			}
+			// Visual indication that something is going on, along with tasks/maxtasks
+			TT.Prog.start(e.total);
+		});
+		OPTS.events.on('track', (e) => TT.Prog.setTask(e.done, e.total));
+		OPTS.events.on('retry', (e) => {
+			TT.Prog.stop();
+			let X = (b) => (b / 1048576).toFixed(1);
+			T.pac(`{Too big}\n${z}CD Size : ${X(e.size)}MB, target ${X(e.target)}MB. Encoding again\n`);
+		});
 
-			if (!inp) {
-				process.exit(0);  // -> Will exit and autocall the user 'exit' event listener
+		// -tsize : The audio and data bytes of each input, null for inputs that can't be encoded
+		let SIZES = TSIZE && APP.input.map(f => {
+			try {
+				let cd = new cdinfos();
+				cd.loadCue(f);
+				let audio = cd.getAudioSize();
+				if(!audio) return null;
+				return {audio, data: ONLY=="audio" ? 0 : cd.CD_SIZE - audio};
+			}catch(er){
+				return null;
 			}
-			
+		});
+
+		// -tsize : Target size of the input at queue index (i). What is left of the budget,
+		// minus the data tracks of all the remaining CDs, is split by their audio size
+		let sizeOf = (i) => {
+			let rest = SIZES.slice(i).filter(Boolean);
+			let data = rest.reduce((p, c) => p + c.data, 0);
+			let audio = rest.reduce((p, c) => p + c.audio, 0);
+			let left = TSIZE - ELOG.size1 - resumed - data;
+			return Math.max(SIZES[i].data + Math.floor(left * SIZES[i].audio / audio), 1);
+		};
+
+		// -tree : The output folder of the batch, OPTS.out is set for each CD
+		let OUT = OPTS.out;
+
+		// -resume : The journals, by output folder
+		// DEV: With -tree the journal stays in the output folder of the batch
+		let journals = new Map();
+		let getJournal = (inp) => {
+			let dir = PATH.resolve(OUT ?? PATH.dirname(inp));
+			if(!journals.has(dir)) journals.set(dir, new journal(dir));
+			return journals.get(dir);
+		};
+		// -resume : Journal and full input path of the current CD, null when not writing
+		let JNOW = null;
+		// -resume : Bytes of the CDs that an earlier run finished, they count in -tsize
+		let resumed = 0;
+
+		let task = {e:PLAN ? planCD : encodeCD, r:restoreCD, m:mergeCD, w:encodeCD}[APP.action];
+
+		// -plan : Output folders that were planned, so that the next CDs get the (2) of a collision
+		if(PLAN) OPTS.taken = new Set();
+
+		/**
+		 * Run 'encodeCD', 'restoreCD' or 'mergeCD' on an input file, print and log the result
+		 * DEV: Never rejects, so that a bad input does not stop the queue or the watch
+		 * @returns {Promise<{status:String, r:Object, error:String}>} status : 'ok', 'skip', 'error'
+		 */
+		let runCD = (inp) => {
+
 			// DEV: - First line of Info Report,
-			//		- The taskEncodeCD will print more infos lines 
-			// Prints: "(1/12)" when multiple files
-			let ts = qlen > 1 ? `(${qnow+1}/${qlen}) ` : '';
+			//		- The events will print more infos lines
+			// Prints: "(1/12)" when multiple files, "(12)" when watching
+			let ts = APP.action=='w' ? `(${qnow+1}) ` : qlen > 1 ? `(${qnow+1}/${qlen}) ` : '';
 			T.pac(`==> Input ${ts} : "${inp}"\n`);
+			let res = {status: 'ok', r: null, error: null};
 
 			// > Start processing
-			taskEncodeCD(inp)
+			return Promise.resolve().then(()=>{
+
+			// -tree : The subfolder of the CD in its input folder, under the output folder
+			if(APP.option.tree && OUT) OPTS.out = PATH.join(OUT, TREE.get(inp) ?? "");
+
+			// -resume : Skip the CDs that an earlier run finished, clean up the unfinished ones
+			let jr = RESUME ? getJournal(inp) : null;
+			let done = jr?.findDone(APP.action, PATH.resolve(inp));
+			if(jr && !done && !PLAN) {
+				for(let d of jr.cleanup(APP.action, PATH.resolve(inp))) T.pac(`${z}Deleted unfinished : "${d}"\n`);
+			}
+			if(done) resumed += done.size1;
+			JNOW = (jr && !PLAN) ? {jr, input: PATH.resolve(inp)} : null;
+
+			if(SIZES?.[qnow]) OPTS.size = sizeOf(qnow);
+
+			return done ? Promise.reject(`+Done by an earlier run, in "${done.output}"`) : task(inp, OPTS);
+			})
+			.then(r=>{
+				// DEV : Writing, from the [OK] position
+					// - Converting Tracks [OK]
+					// - CD Size : 624MB -> 41MB  | time 00m:07s
+				TT.Prog.stop();
+				let X = TL.bytesToMBStr;
+				let size0 = r.size0 ?? r.size;
+				let size1 = r.size1 ?? r.size;
+				if(PLAN) {
+					printPlan(r, z);
+				}else{
+					T.pac(`[OK]\n`);
+					T.pac(z + `CD Size : ` + (APP.action!='r' && APP.action!='m' ? `${X(size0)}MB -> ${X(size1)}MB` : `${X(size0)}MB`));
+					T.ptag('<darkgray,it> | time ' + timeStr(r.duration) + '<!,n>');
+					if(r.sha1) T.pac(`${z}SHA1 : ${r.sha1}\n`);
+					if(r.zip) T.pac(`${z}Zip : "${r.output}" | ${X(r.zip)}MB\n`);
+				}
+
+				ELOG.success++;
+				ELOG.size0 += size0;
+				ELOG.size1 += size1;
+				workingDir = null;
+				JNOW?.jr.done(APP.action, JNOW.input, r);
+				res.r = r;
+
+				if(JSON_OUT) {
+					let {cd, ...o} = r;
+					printJSON({input: inp, action: APP.action, status: 'ok', ...(PLAN && {plan: true}), ...o});
+				}
+			})
 			.catch(er=>{
+				if(TT.Prog.stop()) {
+					T.n();	// Make sure The ERROR print starts at a new line.
+				}
+				workingDir = null;
+				// DEV: Not a {String}, a bug. Print it like the others and go on
+				if(typeof er != 'string') er = String(er?.message ?? er);
 				// Dev: Cursor is at a newline, er:String
 				// Warn/Log the error and continue
-				let m;
+				let m, status;
 				if(er.charAt(0)=="+"){
 					er = er.slice(1);
 					ELOG.skip.set(qnow, er);
 					m="{warning}";
+					status='skip';
 				}else{
 					ELOG.error.set(qnow, er);
 					m="{ERROR}";
+					status='error';
+					JNOW?.jr.fail(APP.action, JNOW.input, er);
 				}
 				L.error(er);
 				T.pac(`\t${m} : ${er}`).ptag(' | <cyan,it>skipping<!,n>');
+				if(JSON_OUT) printJSON({input: inp, action: APP.action, status, error: er});
+				res.status = status;
+				res.error = er;
 			})
 			.then( ()=>{
 				qnow++;
-				printLine();
-				next();
+				return res;
 			});
-		});
+		};
+
+		if(APP.action!='w')
+		{
+			// -- Run for each input file. Wait until it completes
+			APP.input.queueRun( (inp, next) => {
+
+				if (!inp) {
+					process.exit(0);  // -> Will exit and autocall the user 'exit' event listener
+				}
+
+				runCD(inp).then(()=>{
+					printLine();
+					next();
+				});
+			});
+		}
+		else	// :action:w
+		{
+			const POLL_TIME = 2000;	// Milliseconds between scans of the watched folder
+			let W = new watcher(APP.input[0], parseFloat(APP.option.settle ?? WATCH_SETTLE));
+			let moveTo = {ok: APP.option.done, skip: APP.option.done, error: APP.option.failed};
+
+			// The running log, one line per event, in the output folder
+			let logFile = PATH.join(PATH.resolve(OUT ?? W.DIR), WATCH_LOG);
+			let wlog = (s) => {
+				try {
+					FS.mkdirSync(PATH.dirname(logFile), {recursive:true});
+					FS.appendFileSync(logFile, `${new Date().toISOString()} ${s}\n`);
+				}catch(er){
+					L.error(`Cannot write "${logFile}"`, er);
+				}
+			};
+
+			T.pac(` > Watching : "${W.DIR}" | CDs are encoded when their files did not change for (${W.SETTLE / 1000}) seconds\n`);
+			T.pac(` > Log : "${logFile}" | Press [CTRL+C] to stop\n`);
+			printLine();
+			wlog(`WATCH "${W.DIR}"`);
+			process.prependOnceListener('exit', () => wlog(`STOP "${W.DIR}"`));
+
+			let watch = async () => {
+				let ready = [];
+				try{
+					ready = W.poll();
+				}catch(er){
+					L.error('Watch folder scan', er);
+				}
+				for(let inp of ready)
+				{
+					ELOG.inputs.push(inp);
+					TREE.set(inp, PATH.relative(W.DIR, PATH.dirname(inp)));
+					wlog(`START "${inp}"`);
+					let res = await runCD(inp);
+					if(res.status=='ok') {
+						wlog(`OK "${inp}" -> "${res.r.output}" | ${TL.bytesToMBStr(res.r.size0)}MB -> ${TL.bytesToMBStr(res.r.size1)}MB`);
+					}else{
+						wlog(`${res.status.toUpperCase()} "${inp}" | ${res.error}`);
+					}
+					if(moveTo[res.status]) {
+						try{
+							let d = W.moveTo(inp, moveTo[res.status]);
+							T.pac(`${z}Moved to : "${d}"\n`);
+							wlog(`MOVED "${inp}" -> "${d}"`);
+						}catch(er){
+							T.pac(`${z}{ERROR} ${er}\n`);
+							wlog(`ERROR "${inp}" | ${er}`);
+							W.handled(inp);
+						}
+					}else{
+						W.handled(inp);
+					}
+					printLine();
+				}
+				setTimeout(watch, POLL_TIME);
+			};
+			watch();
+		}
 
-	}// -- end action (e)
+	}// -- end action (e,r,m,w)
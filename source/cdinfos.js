@@ -2,6 +2,7 @@
  * cdinfos
  * --------
  * Simple parser for .cue files | Made for the 'cbae' tool
+ * Also reads CloneCD .ccd and Dreamcast .gdi files into the same model
  * 
  * NOTE:
  *  This parser WILL NOT implement the entire specification
@@ -10,17 +11,51 @@
  * Resources:
  *  + https://github.com/libyal/libodraw/blob/main/documentation/CUE%20sheet%20format.asciidoc
  *  + http://wiki.hydrogenaud.io/index.php?title=Cue_sheet
+ *  + https://psx-spx.consoledev.net/cdromdrive/#cdrom-disk-images-ccdimgsub-clonecd
+ *  + https://consolemods.org/wiki/Dreamcast:GDI_Format
  */
 
 import * as PATH from 'node:path';
 import * as FS from 'node:fs';
+import { execFileSync } from 'node:child_process';
 import L from 'jlib/util/Log';
 import {sanitizePath, getFileLines} from 'jlib/util/FsTools';
+import {zipfile} from './zip.js';
 
 
 // When parsing cue files, if track type is not here, it will throw error
 const SUPPORTED_TRACK_FILES = ["BINARY", "WAVE"];
 
+// Encoded audio file types, as written by CBAE in the generated cue files
+// CBAE cue files store the original size of the tracks, for other cue files
+// the duration is read with `ffprobe`
+const ENCODED_TRACK_FILES = ["OPUS", "FLAC", "OGG", "MP3"];
+
+// Some tools write `WAVE` for any audio file, get the real type from the extension
+const ENCODED_EXT = { ".opus": "OPUS", ".flac": "FLAC", ".ogg": "OGG", ".mp3": "MP3" };
+
+
+// Valid values for the track FLAGS command
+// DCP: Digital copy permitted, 4CH: Four channel audio, PRE: Pre-emphasis, SCMS: Serial copy management system
+const TRACK_FLAGS = ["DCP", "4CH", "PRE", "SCMS"];
+
+
+// Highest sample of a near silent audio track, about -60dB. Digital silence is 0
+// e.g. dither or DC noise that a ripper left in an empty track
+const SILENT_PEAK = 32;
+
+
+// File extensions that can be loaded with `loadCue()`
+// DEV: Zip files have one of the others inside, keep it last
+export const SUPPORTED_INPUTS = [".cue", ".ccd", ".gdi", ".zip"];
+
+// CloneCD track MODE= values to cue track types
+const CCD_MODES = {
+	"0": "AUDIO",
+	"1": "MODE1/2352",
+	"2": "MODE2/2352"
+}
+
 
 // Number of Sectors a Track Type
 const sectorsByType = {
@@ -39,6 +74,100 @@ const sectorsByType = {
 }
 
 
+/**
+ * Read the header of a RIFF/WAVE file, and find where the PCM data is
+ * @param {String} file Full path of the file
+ * @returns {{format:Number, channels:Number, rate:Number, bits:Number, dataStart:Number, dataSize:Number}}
+ * @throws {String} Errors
+ */
+function readWaveHeader(file)
+{
+	let fd, b = Buffer.alloc(16);
+	try {
+		fd = FS.openSync(file, 'r');
+		let size = FS.fstatSync(fd).size;
+		FS.readSync(fd, b, 0, 12, 0);
+		if (b.toString('ascii', 0, 4) != 'RIFF' || b.toString('ascii', 8, 12) != 'WAVE') {
+			throw `"${PATH.basename(file)}" is not a RIFF/WAVE file`;
+		}
+
+		// Walk the chunks until the `data` chunk, `fmt ` should come before it
+		let pos = 12, fmt = null;
+		while (pos + 8 <= size) {
+			FS.readSync(fd, b, 0, 8, pos);
+			let id = b.toString('ascii', 0, 4);
+			let len = b.readUInt32LE(4);
+			if (id == 'fmt ') {
+				FS.readSync(fd, b, 0, 16, pos + 8);
+				fmt = {
+					format: b.readUInt16LE(0),	// 1:PCM | 0xFFFE:Extensible
+					channels: b.readUInt16LE(2),
+					rate: b.readUInt32LE(4),
+					bits: b.readUInt16LE(14)
+				};
+				if (fmt.format != 1 && fmt.format != 0xFFFE) {
+					throw `"${PATH.basename(file)}" is not PCM audio`;
+				}
+			} else if (id == 'data') {
+				if (!fmt) break;
+				// DEV: Some writers put a wrong size in the data chunk, clamp it to the file
+				return { ...fmt, dataStart: pos + 8, dataSize: Math.min(len, size - pos - 8) };
+			}
+			pos += 8 + len + (len & 1);	// Chunks are WORD aligned
+		}
+		throw `"${PATH.basename(file)}" has no audio data`;
+	} catch (e) {
+		if (typeof e == 'string') throw e;
+		throw `Cannot read WAVE file "${PATH.basename(file)}"`;
+	} finally {
+		if (fd !== undefined) FS.closeSync(fd);
+	}
+}// -------------------------;
+
+
+
+/**
+ * Get the size of an encoded audio file, as if it was CDDA, using `ffprobe`
+ * - Rounded up to full sectors, so that the cue INDEX math works
+ * @param {String} file Full path of the file
+ * @returns {Number} Bytes
+ * @throws {String} Errors
+ */
+function probeAudioBytes(file)
+{
+	let out;
+	try {
+		out = execFileSync('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=nw=1:nk=1', file],
+				{ encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] });
+	} catch (e) {
+		throw `Cannot read the duration of "${PATH.basename(file)}". Is ffprobe set on path?`;
+	}
+	let d = parseFloat(out);
+	if (!(d > 0)) throw `Cannot read the duration of "${PATH.basename(file)}"`;
+	L.debug(`probeAudioBytes() :: "${file}" duration ${d}`);
+	return Math.ceil(Math.round(d * 44100) * 4 / 2352) * 2352;	// 4 bytes per stereo sample
+}// -------------------------;
+
+
+
+/**
+ * Find the cue file (or .ccd .gdi) in a zip file. By the order of `SUPPORTED_INPUTS`,
+ * then the first by name
+ * @param {zipfile} zip
+ * @returns {String} Path in the zip, null if there is none
+ */
+export function findZipCue(zip)
+{
+	let names = [...zip.entries.keys()].sort();
+	for (let ext of SUPPORTED_INPUTS.filter(e => e != ".zip")) {
+		let f = names.find(n => PATH.posix.extname(n).toLowerCase() == ext);
+		if (f) return f;
+	}
+	return null;
+}// -------------------------;
+
+
+
 /**
  * Describe a .cue file
  * plus some extra functionality
@@ -47,13 +176,25 @@ export class cdinfos {
 
 	CD_ARTIST="";			// Top Level "PERFORMER" defined in the .cue fule
 	CD_TITLE=""; 			// Top Level "TITLE" as defined in the .cue file
-	CD_SIZE = 0;			// Bytes of all tracks that make up the CD
+	CD_SONGWRITER = null;	// Top Level "SONGWRITER"
+	CD_CATALOG = null;		// "CATALOG" Media Catalog Number, 13 digits (UPC/EAN)
+	CD_TEXTFILE = null;		// "CDTEXTFILE" file with the CD-TEXT data, as declared in the .cue file
+	CD_GENRE = null;		// "REM GENRE" as written by EAC and others
+	CD_DATE = null;			// "REM DATE" Release year
+	CD_SIZE = 0;			// Bytes of all tracks that make up the CD, as in their files. PREGAP/POSTGAP are not in any file, see `getGapSize()`
 
 	CD_FILE="";				// Sanitized CD_TITLE, can be used for creating files/folders
 
 	FILE_LOADED = null;		// FULL PATH of the cue file loaded e.g. 'c:\\games\\iso\\quake.iso'
 	FILE_DIR = null;		// Shortcut for Base Directory of FILE_LOADED
 
+	CBAE_VER = null;		// If the cue file was generated by CBAE, the version string. e.g. "1.2.1"
+
+	/** The zip file, when FILE_LOADED is a .zip. The track files are read from it
+	 * @type {zipfile} */
+	ZIP = null;
+	ZIP_CUE = null;			// Path of the cue file in the zip e.g. "Quake/quake.cue"
+
 	/** @type {Array.<cdtrack>} */
 	tracks = [];
 
@@ -61,6 +202,7 @@ export class cdinfos {
 	/** @type {cdtrack} */
 	opentrack = null;
 	openfile = null;
+	openftype = null;
 
 
 	/** Prepared/Sanitized filenames for all tracks WITHOUT extension
@@ -79,11 +221,30 @@ export class cdinfos {
 
 	/** Get the file associated with a track index (0 start)
 	 * this could either be a shared file or a unique file
+	 * - For CDs in a zip this is the zip file, use `getTrackEntry()`
 	 */
 	getTrackFilePath(tr) {
+		if (this.ZIP) return this.ZIP.FILE;
 		return PATH.join(this.FILE_DIR, this.tracks[tr].file ?? this.tracks[tr].shared);
 	}
 
+	/** Get the path in the zip of the file associated with a track index (0 start)
+	 * Track files are relative to the cue file in the zip */
+	getTrackEntry(tr) {
+		return this.getZipEntry(this.tracks[tr].file ?? this.tracks[tr].shared);
+	}
+
+	/** Get the path in the zip of a file that the cue file points to e.g. the CDTEXTFILE */
+	getZipEntry(file) {
+		return PATH.posix.join(PATH.posix.dirname(this.ZIP_CUE), file.replace(/\\/g, '/'));
+	}
+
+	/** Check if a track (index 0 start) is in a file with other tracks, or does not
+	 * go to the end of its file, and needs to be cut from it */
+	isTrackCut(tr) {
+		return this.tracks[tr].shared != null || this.tracks[tr + 1]?.shared != null || this.tracks[tr].trimmed;
+	}
+
 	/** Return the bytesize of all the audio tracks
 	 */
 	getAudioSize()
@@ -91,6 +252,82 @@ export class cdinfos {
 		return this.tracks.reduce((p, c) => p + (c.isData ? 0 : c.byteSize), 0);
 	}
 
+	/** Return the bytesize of all the PREGAP and POSTGAP commands
+	 * These are silence that a burner or emulator generates, they take space on the disc
+	 * but not in the files. So they are not in `CD_SIZE` and are never encoded
+	 */
+	getGapSize()
+	{
+		return this.tracks.reduce((p, c) => p + c.sectorSize *
+			((c.pregap?.toFrames() ?? 0) + (c.postgap?.toFrames() ?? 0)), 0);
+	}
+
+
+	/**
+	 * Change where the pregaps (INDEX 00 to INDEX 01) of the audio tracks go
+	 * Call after loading, the track byte positions and indexes are changed
+	 * 	next : The gap is at the start of its own track (default, as loaded)
+	 * 	prev : The gap is appended to the end of the previous track.
+	 * 		   Only for tracks in the same file as the previous audio track, the rest stay as they are
+	 * 	drop : The gap is removed from the track and written as a PREGAP command (silence)
+	 * - The disc timing does not change
+	 * - Tracks loaded with their gap in the previous file (`gapPrev`) can't be read from two files,
+	 *   so mode "next" throws for them
+	 * @param {String} mode next | prev | drop
+	 * @throws {String} Errors
+	 */
+	setGapMode(mode)
+	{
+		for (let i = 0; i < this.tracks.length; i++)
+		{
+			let tr = this.tracks[i];
+			let pr = this.tracks[i - 1];
+
+			// The gap is already at the end of the previous track
+			if (tr.gapPrev) {
+				if (mode == "prev") continue;
+				if (mode == "next") throw `Track ${tr.no} has its pregap in the previous file, it can't be moved to its own track. Use -gaps prev or drop`;
+				let gb = tr.gapPrev * pr.sectorSize;
+				pr.byteSize -= gb;
+				pr.trimmed = true;
+				this.CD_SIZE -= gb;
+				let p = new cuetime(0,0,0,0);
+					p.fromFrames((tr.pregap?.toFrames() ?? 0) + tr.gapPrev);
+				tr.pregap = p;
+				L.debug(`Gap mode (${mode}) : Track ${tr.no} gap (${tr.gapPrev}) frames, from the previous file`);
+				tr.gapPrev = 0;
+				continue;
+			}
+
+			if (mode == "next") continue;
+			if (tr.isData || tr.indexes[0].no != 0 || !tr.indexExists(1)) continue;
+			let gap = tr.indexes.find(a => a.no == 1).toFrames() - tr.indexes[0].toFrames();
+			let gb = gap * tr.sectorSize;
+
+			// INDEX 00 is the same as INDEX 01, there is no gap to move
+			if (gap == 0) {
+				tr.indexes.shift();
+				continue;
+			}
+
+			if (mode == "prev") {
+				if (!pr || pr.isData || !tr.shared) continue;
+				pr.byteSize += gb;
+				tr.gapPrev = gap;
+			} else {
+				this.CD_SIZE -= gb;
+				let p = new cuetime(0,0,0,0);
+					p.fromFrames((tr.pregap?.toFrames() ?? 0) + gap);
+				tr.pregap = p;
+			}
+
+			tr.byteStart += gb;
+			tr.byteSize -= gb;
+			tr.indexes.shift();	// INDEX 00
+			L.debug(`Gap mode (${mode}) : Track ${tr.no} gap (${gap}) frames`);
+		}
+	}// -------------------------------------------------------;
+
 
 	/**
 	 * Call before building a .cue file, (for use in CBAE, one track per file)
@@ -154,12 +391,32 @@ export class cdinfos {
 	}// -------------------------;
 
 
+	/**
+	 * The FILE line of a track (index 0 start) for `buildCueFileForCBAE()` e.g. `FILE "track02.opus" OPUS`
+	 * - Expects `this.readyFiles` to be set
+	 * @param {Number} i Track index
+	 * @param {String} aExt AUDIO file extension with the dot. Tracks with `encExt` set use that instead
+	 */
+	getFileLine(i, aExt) {
+		let tr = this.tracks[i];
+		let fn = this.readyFiles[i];
+		let ext = tr.encExt ?? aExt;
+		if (tr.packed == "ISO") return `FILE "${fn}.iso" BINARY`;
+		if (tr.isData || ext == ".bin") return `FILE "${fn}.bin" BINARY`;
+		let tp = ext.slice(1).toUpperCase();	// .mp3 -> MP3 | .ogg -> OGG
+		return `FILE "${fn}${ext}" ${tp}`;
+	}// -------------------------;
+
+
 	/**
 	 * Generate a new CUE file (assuming each track has its own file)
 	 * - Used when converting a cue to encoded audio files
 	 * - Returns data in an string array, line by line. Save it yourself.
 	 * - Expects `this.readyFiles` to be set
 	 * @param {String} aExt AUDIO file extension with the dot. e.g. ".opus"
+	 *   Tracks with `encExt` set use that instead
+	 * - Tracks with `packed` set, are marked so that they can be rebuilt later
+	 *   ECM tracks still point to the ".bin" file, ISO tracks point to the ".iso" file as MODE1/2048
 	 * @returns {String[]} Generate CUE, line by line
 	 * @throws {String} Errors
 	 */
@@ -168,31 +425,52 @@ export class cdinfos {
 		if(!this.readyFiles) this.prepareFilenames();
 
 		let b = [];
+		if(this.CD_GENRE)
+		b.push(`\tREM GENRE "${this.CD_GENRE}"`);
+		if(this.CD_DATE)
+		b.push(`\tREM DATE ${this.CD_DATE}`);
 		// Those are standard tags, no program should have problems parsing them
+		if(this.CD_CATALOG)
+		b.push(`\tCATALOG ${this.CD_CATALOG}`);
+		if(this.CD_TEXTFILE)
+		b.push(`\tCDTEXTFILE "${PATH.basename(this.CD_TEXTFILE)}"`);
 		if(this.CD_ARTIST)
 		b.push(`\tPERFORMER "${this.CD_ARTIST}"`);
+		if(this.CD_SONGWRITER)
+		b.push(`\tSONGWRITER "${this.CD_SONGWRITER}"`);
 		b.push(`\tTITLE "${this.CD_TITLE}"`);
 		b.push(``);
 		
 		for (let i=0;i<this.tracks.length;i++) 
 		{
 			let tr = this.tracks[i];
-			let fn = this.readyFiles[i];
 
-			if (tr.isData) {
-				b.push(`\tFILE "${fn}.bin" BINARY`);
-			} else {
-				let tp = aExt.slice(1).toUpperCase();	// .mp3 -> MP3 | .ogg -> OGG
-				b.push(`\tFILE "${fn}${aExt}" ${tp}`);
-			}
+			// DEV: If the pregap is at the end of the previous track, the TRACK and INDEX 00
+			//		are declared in the previous FILE, and the new FILE comes after them
+			if (!tr.gapPrev) b.push('\t' + this.getFileLine(i, aExt));
 
-			if(tr.title)  b.push(`\t\tTITLE "${tr.title}"`);
-			if(tr.artist) b.push(`\t\tPERFORMER "${tr.artist}"`);
+			b.push(`\t\tTRACK ${tr.noStr} ${tr.packed == "ISO" ? "MODE1/2048" : tr.type}`);
+			b.push(...tr.getInfoLines());
+
+			// Original track properties, so that the track can be restored later
+			let rem = `\t\tREM CBAE BYTES ${tr.byteSize} SECTORS ${tr.sectors}`;
+			if (tr.hash) rem += ` SHA1 ${tr.hash.sha1} CRC32 ${tr.hash.crc32}`;
+			if (tr.packed == "ECM") rem += ` PACK ECM`;
+			if (tr.packed == "ISO") rem += ` COOK ${tr.cookAddr}`;
+			if (tr.deemph) rem += ` DEEMPH 1`;
+			if (tr.silentGap) rem += ` SILENT ${tr.silentGap}`;
+			b.push(rem);
 
-			b.push(`\t\tTRACK ${tr.noStr} ${tr.type}`);
 			if (tr.pregap)
 				b.push(`\t\tPREGAP ${tr.pregap}`);
 
+			if (tr.gapPrev) {
+				let inew = new cuetime(0,0,0,0);
+					inew.fromFrames(this.tracks[i - 1].sectors - tr.gapPrev);
+				b.push(`\t\tINDEX 00 ${inew}`);
+				b.push('\t' + this.getFileLine(i, aExt));
+			}
+
 			let i0 = tr.indexes[0].toFrames();	// Should always exist. Checked on parser
 
 			for(let iit of tr.indexes) {
@@ -200,6 +478,107 @@ export class cdinfos {
 					inew.fromFrames(iit.toFrames() - i0);
 				b.push(`\t\tINDEX ${inew.no.toString().padStart(2,'0')} ${inew}`);
 			}
+
+			// DEV: A silent track has only its first sectors in the file, the rest is a POSTGAP
+			if (tr.postgap || tr.silentGap) {
+				let post = new cuetime(0,0,0,0);
+					post.fromFrames((tr.postgap?.toFrames() ?? 0) + tr.silentGap);
+				b.push(`\t\tPOSTGAP ${post}`);
+			}
+		}
+
+		return b;
+	}// -------------------------------------------------------;
+
+
+	/**
+	 * Generate a new CUE file, where all tracks are in a single file
+	 * - INDEXES are recalculated to absolute positions in the merged file
+	 * - Expects all tracks to be in the merged file, in order, at their full `byteSize`
+	 * @param {String} fname The filename of the merged file e.g. "Quake.bin"
+	 * @returns {String[]} Generated CUE, line by line
+	 * @throws {String} Errors
+	 */
+	buildCueFileMerged(fname) {
+
+		let ss = this.tracks[0].sectorSize;
+		if (this.tracks.some(t => t.sectorSize != ss)) {
+			throw "Cannot merge tracks with different sector sizes";
+		}
+
+		let b = [];
+		if(this.CD_GENRE)
+		b.push(`REM GENRE "${this.CD_GENRE}"`);
+		if(this.CD_DATE)
+		b.push(`REM DATE ${this.CD_DATE}`);
+		if(this.CD_CATALOG)
+		b.push(`CATALOG ${this.CD_CATALOG}`);
+		if(this.CD_TEXTFILE)
+		b.push(`CDTEXTFILE "${PATH.basename(this.CD_TEXTFILE)}"`);
+		if(this.CD_ARTIST)
+		b.push(`PERFORMER "${this.CD_ARTIST}"`);
+		if(this.CD_SONGWRITER)
+		b.push(`SONGWRITER "${this.CD_SONGWRITER}"`);
+		b.push(`TITLE "${this.CD_TITLE}"`);
+		b.push(`FILE "${fname}" BINARY`);
+
+		let pos = 0;	// Frames (sectors) written so far in the merged file
+		for (let tr of this.tracks)
+		{
+			b.push(`\tTRACK ${tr.noStr} ${tr.type}`);
+			b.push(...tr.getInfoLines());
+			if (tr.pregap)
+				b.push(`\t\tPREGAP ${tr.pregap}`);
+			if (tr.gapPrev) {
+				let inew = new cuetime(0,0,0,0);
+					inew.fromFrames(pos - tr.gapPrev);
+				b.push(`\t\tINDEX 00 ${inew}`);
+			}
+
+			let i0 = tr.indexes[0].toFrames();
+			for(let iit of tr.indexes) {
+				let inew = new cuetime(iit.no,0,0,0);
+					inew.fromFrames(pos + iit.toFrames() - i0);
+				b.push(`\t\tINDEX ${inew.no.toString().padStart(2,'0')} ${inew}`);
+			}
+			if (tr.postgap)
+				b.push(`\t\tPOSTGAP ${tr.postgap}`);
+			pos += tr.sectors;
+		}
+
+		return b;
+	}// -------------------------------------------------------;
+
+
+	/**
+	 * Generate a new Dreamcast GDI file (assuming each track has its own file)
+	 * - Like `buildCueFileForCBAE()` the tracks point to the new files
+	 * - Tracks that were not loaded from a .gdi get their LBA from their position on the CD
+	 * - Expects `this.readyFiles` to be set
+	 * @param {String} aExt AUDIO file extension with the dot. e.g. ".opus"
+	 *   Tracks with `encExt` set use that instead
+	 * @returns {String[]} Generated GDI, line by line
+	 */
+	buildGdiFile(aExt) {
+
+		if(!this.readyFiles) this.prepareFilenames();
+
+		let b = [`${this.tracks.length}`];
+		let pos = 0;	// Frames (sectors) of all previous tracks, plus their gaps
+		for (let i=0;i<this.tracks.length;i++)
+		{
+			let tr = this.tracks[i];
+			let ext = tr.encExt ?? aExt;
+			let fn = this.readyFiles[i] + (tr.packed == "ISO" ? ".iso" : (tr.isData || ext == ".bin") ? ".bin" : ext);
+			if (fn.includes(' ')) fn = `"${fn}"`;
+
+			// LBA is where INDEX 01 is. PREGAP and POSTGAP are not in the files, but take space on the CD
+			let i0 = tr.indexes[0].toFrames();
+			let gap0 = tr.pregap?.toFrames() ?? 0;
+			let lba = tr.lba ?? pos + gap0 + tr.indexes.find(x => x.no == 1).toFrames() - i0;
+			pos += gap0 + tr.sectors + (tr.postgap?.toFrames() ?? 0);
+
+			b.push(`${tr.no} ${lba} ${tr.isData ? 4 : 0} ${tr.packed == "ISO" ? 2048 : tr.sectorSize} ${fn} 0`);
 		}
 
 		return b;
@@ -208,7 +587,10 @@ export class cdinfos {
 
 	/**
 	 * Loads a .CUE file and fills in object fields with data
-	 * @param {String} input A valid .cue file
+	 * - CloneCD .ccd and .gdi files are also supported, they are read into the same model
+	 * - Also any of these in a .zip file. Nothing is extracted, the tracks are streamed from the zip
+	 *   WAVE files, and encoded files in cue files that CBAE did not write, are not supported there
+	 * @param {String} input A valid .cue, .ccd, .gdi or .zip file
 	 * @throws {String} Errors
 	 */
 	loadCue(input) {
@@ -217,14 +599,28 @@ export class cdinfos {
 		input = PATH.normalize(input);
 		L.log(`loadCue() :: Loading "${input}"`);
 
-		if (PATH.extname(input).toLowerCase() != ".cue") throw `Not a ".cue" file`;
+		let ext = PATH.extname(input).toLowerCase();
+		if (!SUPPORTED_INPUTS.includes(ext)) throw `Not a ".cue", ".ccd", ".gdi" or ".zip" file`;
+
+		let lines;
+		if (ext == ".zip") {
+			this.ZIP = new zipfile(input);	// *THROWS {String}
+			this.ZIP_CUE = findZipCue(this.ZIP);
+			if (!this.ZIP_CUE) throw `No ".cue", ".ccd" or ".gdi" file in '${PATH.basename(input)}'`;
+			L.log(`loadCue() :: Reading "${this.ZIP_CUE}" from the zip`);
+			lines = this.ZIP.read(this.ZIP_CUE).toString().split(/\r?\n/);	// *THROWS {String}
+			ext = PATH.extname(this.ZIP_CUE).toLowerCase();
+		} else {
+			lines = getFileLines(input);
+			if(!lines) throw `Cannot load file "${input}"`;
+		}
 
-		let lines = getFileLines(input);
-		if(!lines) throw `Cannot load file "${input}"`;
+		if (ext == ".ccd") this._ccdParser(lines, this.ZIP_CUE ?? input);	// *THROWS {String}
+		else if (ext == ".gdi") this._gdiParser(lines);		// *THROWS {String}
 
 		// -- Start Parsing the loaded CUE file
 		// fills up tracks[] with data as it is read from the cue file
-		for (let l = 0; l < lines.length; l++) {
+		else for (let l = 0; l < lines.length; l++) {
 			let line = lines[l].trim();
 			if (line.length == 0) continue;
 			try {
@@ -251,41 +647,114 @@ export class cdinfos {
 		//  - Find out which tracks will share track files
 		//  - Check if files exist
 		//  - Calculate byte positions
-		for (let i = 0, ot = null, os = null; i < this.tracks.length; i++) {
+		for (let i = 0, ot = null, os = null, ob = 0; i < this.tracks.length; i++) {
 			
 			// ot = last track with a file
 			// os = last trackfile stats
+			// ob = last trackfile byte offset where the CDDA data starts. (WAVE headers)
 
 			let tr = this.tracks[i]; // shortcut
 			let tr1 = this.tracks[i + 1]; // shortcut
 
 			if (tr.file) {
 
+				// Pregap in the previous file, it goes from INDEX 00 to the end of that file
+				if (tr.gapAt) {
+					tr.gapPrev = Math.floor(os / ot.sectorSize) - tr.gapAt.toFrames();
+					if (tr.gapPrev <= 0) throw `Track ${tr.no} - INDEX 00 is after the end of the previous file`;
+				}
+
 				ot = tr;	// This track has a file, I need to keep it when encountering other tracks
 
 				let f_full = PATH.join(this.FILE_DIR, ot.file);
-				if (!FS.existsSync(f_full)) throw `File "${ot.file}" does not exist in .cue directory`;
+				let found = (f) => this.ZIP ? this.ZIP.get(this.getZipEntry(f)) != null : FS.existsSync(PATH.join(this.FILE_DIR, f));
+
+				// Data tracks packed by CBAE, they are stored as "file.bin.ecm" until they are rebuilt
+				if (ot.orig?.pack == 'ecm' && !found(ot.file) && found(ot.file + '.ecm')) {
+					ot.file += '.ecm';
+					ot.ftype = "ECM";
+					f_full += '.ecm';
+				}
+
+				// MODE1/2048 tracks converted by CBAE, they can be rebuilt to the original raw sectors
+				if (ot.orig?.cook && ot.type == "MODE1/2048") {
+					ot.ftype = "ISO";
+					ot.type = "MODE1/2352";
+				}
 
-				let stat = FS.statSync(f_full);
-				os = stat.size;	// Open Last Size, need to have this to calculate the last track size
+				// Tracks in a zip are streamed from it. WAVE headers and the duration of encoded files
+				// that CBAE did not write need to read the file
+				if (this.ZIP) {
+					if (ot.ftype == "WAVE" || (ot.isEncoded && !ot.orig?.sectors)) throw `${ot.ftype} TRACK File "${ot.file}" cannot be read from a zip, unzip it first`;
+					os = this.ZIP.entry(this.getTrackEntry(i)).size;	// *THROWS {String}
+				}else{
+					if (!FS.existsSync(f_full)) throw `File "${ot.file}" does not exist in .cue directory`;
+					os = FS.statSync(f_full).size;	// Open Last Size, need to have this to calculate the last track size
+				}
+				ob = 0;
+
+				// Encoded files are not CDDA, get the original size from what CBAE wrote
+				// or get the duration of the file
+				if (ot.isEncoded) {
+					if (ot.orig?.sectors) {
+						if (tr1 && !tr1.file) throw `Encoded TRACK File "${ot.file}" cannot be shared between tracks`;
+						os = ot.orig.bytes ?? ot.orig.sectors * ot.sectorSize;	// DEV: Older CBAE versions did not write BYTES
+					} else {
+						os = probeAudioBytes(f_full);	// *THROWS {String}
+					}
+				}
+
+				// Audio tracks that CBAE wrote as a short file and a POSTGAP (silence), the rest is zeroes
+				// DEV: After this, the track is at its original size and the POSTGAP is the original
+				if (ot.orig?.silent && ot.ftype == "BINARY") {
+					ot.ftype = "SILENT";
+					let pg = (ot.postgap?.toFrames() ?? 0) - ot.orig.silent;
+					if (pg < 0) throw `Track ${ot.no} - POSTGAP is shorter than the silence`;
+					ot.postgap = null;
+					if (pg > 0) {
+						ot.postgap = new cuetime(0,0,0,0);
+						ot.postgap.fromFrames(pg);
+					}
+				}
+
+				// Packed files are smaller than the data, get the original size from what CBAE wrote
+				if (ot.isPacked) {
+					if (tr1 && !tr1.file) throw `${ot.ftype} TRACK File "${ot.file}" cannot be shared between tracks`;
+					os = ot.orig.bytes ?? ot.orig.sectors * ot.sectorSize;
+				}
+
+				// Only the PCM data chunk of a WAVE file is CDDA
+				if (ot.ftype == "WAVE") {
+					let w = readWaveHeader(f_full);	// *THROWS {String}
+					if (w.rate != 44100 || w.bits != 16 || w.channels != 2) {
+						throw `WAVE File "${ot.file}" is (${w.rate}Hz ${w.bits}bit ${w.channels}ch). Only CD Audio (44100Hz 16bit 2ch) is supported, convert it first`;
+					}
+					ob = w.dataStart;
+					os = w.dataSize;
+				}
+
+				tr.byteStart = ob;
 				this.CD_SIZE += os;
 
 			}else
 			{
 				tr.shared = ot.file;
+				tr.ftype = ot.ftype;
 				// DEV: a FILE track will always come before a shared track
 				// 		It was checked in the cue parser that the first Track always has a file
 			}
 
+			if (tr.isEncoded && tr.isData) throw `Track ${tr.no} is a data track in an encoded audio file`;
+
 			if (tr1 && !tr1.file) // If next track is shared
 			{
-				tr1.byteStart = sectorsByType[ot.type] * tr1.indexes[0].toFrames();
+				tr1.byteStart = ob + sectorsByType[ot.type] * tr1.indexes[0].toFrames();
 				tr.byteSize = tr1.byteStart - tr.byteStart;
 			}
 			else // This is the last track on the open file
 			{
-				tr.byteSize = os - tr.byteStart;
-				// DEV: Works for both single tracks, (since bytestart=0) and
+				tr.byteSize = ob + os - tr.byteStart;
+				// DEV: Works for both single tracks, (since bytestart=ob) and
 				//		last shared tracks
 			}
 
@@ -300,6 +769,126 @@ export class cdinfos {
 	}// -------------------------;
 
 
+	/**
+	 * Parses a CloneCD .ccd file and fills up tracks[]
+	 * - All tracks are in the .img file, with the same name as the .ccd
+	 * - The .sub file (subchannel data) is ignored
+	 * - Only the [TRACK] sections are needed, the [Entry] TOC points are skipped
+	 * @param {String[]} lines All lines of the .ccd file
+	 * @param {String} input Path of the .ccd file
+	 * @throws {String} Errors
+	 */
+	_ccdParser(lines, input) {
+
+		// Read the INI like file into sections. e.g. S["TRACK 1"].MODE
+		let S = {}, sec = null;
+		for (let l = 0; l < lines.length; l++) {
+			let line = lines[l].trim();
+			if (line.length == 0 || line.startsWith(';')) continue;
+			let res = /^\[(.+)\]$/.exec(line);
+			if (res) {
+				sec = S[res[1].toUpperCase()] = {};
+				continue;
+			}
+			res = /^(.+?)\s*=\s*(.*)$/.exec(line);
+			if (res == null || sec == null) throw `CCD Parse Error on Line (${l+1}) : Line error, Bad Syntax`;
+			sec[res[1].toUpperCase()] = res[2];
+		}
+
+		if (!S.CLONECD) throw "CCD Parse Error : Not a CloneCD file";
+		// DEV: Later sessions have their LBA after a lead-out/lead-in gap that is not in the .img
+		if (parseInt(S.DISC?.SESSIONS) > 1) throw "Multi-session CloneCD images are not supported";
+
+		// The image file, usually with the same case as the .ccd
+		let p = PATH.parse(input);
+		let img = p.name + (p.ext == ".CCD" ? ".IMG" : ".img");
+		L.log(`_ccdParser() :: Image file "${img}" | .sub file is ignored`);
+
+		for (let no = 1; no <= 99; no++) {
+			let t = S[`TRACK ${no}`];
+			if (!t) continue;
+
+			let type = CCD_MODES[t.MODE];
+			if (!type) throw `CCD Parse Error : Track ${no} has unsupported MODE=${t.MODE}`;
+
+			let tr = new cdtrack();
+			tr.no = no;
+			tr.type = type;
+			if (this.tracks.length == 0) {
+				tr.file = img;		// All the other tracks will share this
+				tr.ftype = "BINARY";
+			}
+
+			// |INDEX 1=18937 | LBA of the index
+			for (let k in t) {
+				let res = /^INDEX\s+(\d+)$/.exec(k);
+				if (!res) continue;
+				let ct = new cuetime(parseInt(res[1]), 0, 0, 0);
+					ct.fromFrames(parseInt(t[k]));
+				tr.indexes.push(ct);
+			}
+			tr.indexes.sort((a, b) => a.no - b.no);
+
+			try {
+				tr.validCheck();
+			} catch (e) {
+				throw `CCD Parse Error : ${e}`;
+			}
+			this.tracks.push(tr);
+		}
+	}// -------------------------;
+
+
+	/**
+	 * Parses a Dreamcast .gdi file and fills up tracks[]
+	 * - Every track has its own file, so there is no need to cut anything
+	 * - The LBA of each track is kept in `lba`, so that a .gdi can be written back.
+	 *   The high density area of a GD-ROM starts at LBA 45000
+	 * e.g.
+	 *  |3
+	 *  |1 0 4 2352 track01.bin 0
+	 *  |2 756 0 2352 track02.raw 0
+	 *  |3 45000 4 2352 "track 03.bin" 0
+	 * @param {String[]} lines All lines of the .gdi file
+	 * @throws {String} Errors
+	 */
+	_gdiParser(lines) {
+
+		let count = parseInt(lines[0]);
+		if (!(count > 0)) throw "GDI Parse Error on Line (1) : Expected the number of tracks";
+
+		for (let l = 1; l < lines.length; l++) {
+			let line = lines[l].trim();
+			if (line.length == 0) continue;
+
+			// Catch : (no) (lba) (type) (sector size) ("file name" or filename) (offset)
+			let res = /^(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(?:"(.+)"|(\S+))\s+(-?\d+)$/.exec(line);
+			if (res == null) throw `GDI Parse Error on Line (${l+1}) : Line error, Bad Syntax`;
+
+			let no = parseInt(res[1]);
+			if (this.tracks.some(t => t.no == no)) throw `GDI Parse Error on Line (${l+1}) : Track ${no} is already defined`;
+
+			// 0:Audio 4:Data
+			let type = res[3] == "0" ? "AUDIO" : `MODE1/${res[4]}`;
+			if (!sectorsByType.hasOwnProperty(type)) throw `GDI Parse Error on Line (${l+1}) : Unsupported Track type ${type}`;
+			if (res[7] != "0") throw `GDI Parse Error on Line (${l+1}) : File offsets are not supported`;
+
+			let tr = new cdtrack();
+			tr.no = no;
+			tr.type = type;
+			tr.file = res[5] ?? res[6];
+			tr.ftype = "BINARY";
+			tr.lba = parseInt(res[2]);
+			tr.indexes.push(new cuetime(1, 0, 0, 0));
+			this.tracks.push(tr);
+		}
+
+		if (this.tracks.length != count) {
+			throw `GDI Parse Error : Expected (${count}) tracks, found (${this.tracks.length})`;
+		}
+	}// -------------------------;
+
+
 	/** 
 	* Parses CUE file lines one by one
 	* Lines are trimmed
@@ -313,6 +902,38 @@ export class cdinfos {
 		//		but then I would have to introduce more functions or a switch structure
 		//		This is to be used only for small files, so it's fine
 
+		// |REM | Converted with CBAE v1.2.1 - Cue/Bin Audio Encoder
+		// - Header written by CBAE on the generated cue files
+		if (lineup.startsWith('REM |')) {
+			let res = /CBAE v(\S+)/.exec(line);
+			if (res) this.CBAE_VER = res[1];
+			return;
+		}
+
+		// |REM CBAE BYTES 3575040 SECTORS 1520 SHA1 83cb.... CRC32 0a1b2c3d
+		// - Original track properties written by CBAE. KEY VALUE pairs
+		if (lineup.startsWith('REM CBAE')) {
+			if (this.opentrack == null) throw "A Track is not defined yet";
+			let p = line.trim().split(/\s+/).slice(2);
+			let o = this.opentrack.orig = this.opentrack.orig ?? {};
+			for (let i = 0; i < p.length - 1; i += 2) {
+				let k = p[i].toLowerCase();
+				o[k] = (k == 'sectors' || k == 'bytes' || k == 'silent') ? parseInt(p[i + 1]) : p[i + 1].toLowerCase();
+			}
+			return;
+		}
+
+		// |REM GENRE "Game" , REM DATE 1996
+		// - Not standard, but most rippers write them
+		if (lineup.startsWith('REM GENRE') || lineup.startsWith('REM DATE')) {
+			let res = /^REM\s+(\w+)\s+(.+)/i.exec(line);
+			if (res == null) throw "Line error, Bad Syntax"
+			res[2] = res[2].replace(/^\"(.*)\"/, "$1");
+			if (res[1].toUpperCase() == 'GENRE') this.CD_GENRE = res[2];
+			else this.CD_DATE = res[2];
+			return;
+		}
+
 		// -- Comments
 		if (lineup.startsWith('REM') || lineup.startsWith(';')) return;
 
@@ -345,19 +966,92 @@ export class cdinfos {
 			return;
 		}
 
+		// |SONGWRITER "John Romero"
+		// - Like PERFORMER, for the CD or the open track
+		if (lineup.startsWith('SONGWRITER')) {
+			let res = /^\w+\s+(.+)/.exec(lineup);
+			if (res == null) throw "Line error, Bad Syntax"
+			res[1] = res[1].replace(/^\"(.*)\"/, "$1");
+			if (this.opentrack != null)
+				this.opentrack.songwriter = res[1];
+			else
+				this.CD_SONGWRITER = res[1];
+			return;
+		}
+
+		// |CATALOG 0724384260928
+		if (lineup.startsWith('CATALOG')) {
+			let res = /^\w+\s+(\d{13})$/.exec(lineup);
+			if (res == null) throw "CATALOG must be 13 digits"
+			if (this.tracks.length > 0) throw "CATALOG must be defined before the tracks";
+			this.CD_CATALOG = res[1];
+			return;
+		}
+
+		// |CDTEXTFILE "Quake.cdt"
+		if (lineup.startsWith('CDTEXTFILE')) {
+			let res = /^\w+\s+\"?([^"]+)\"?/.exec(line);
+			if (res == null) throw "Line error, Bad Syntax"
+			if (this.tracks.length > 0) throw "CDTEXTFILE must be defined before the tracks";
+			this.CD_TEXTFILE = res[1];
+			return;
+		}
+
+		// |FLAGS DCP PRE
+		// - Only metadata, a bad line is logged and dropped, the cue file still loads
+		if (lineup.startsWith('FLAGS')) {
+			let ot = this.opentrack;
+			if (ot == null) { L.warn(`cdinfos : FLAGS before any TRACK, ignored`); return; }
+			if (ot.indexes.length > 0) L.warn(`cdinfos : Track ${ot.no} - FLAGS should come before INDEX`);
+			let f = lineup.split(/\s+/).slice(1);
+			for (let a of f) {
+				if (!TRACK_FLAGS.includes(a)) L.warn(`cdinfos : Track ${ot.no} - Unsupported FLAG ${a}, ignored`);
+			}
+			ot.flags = f.filter(a => TRACK_FLAGS.includes(a));
+			return;
+		}
+
+		// |ISRC USRC17607839
+		// - Country(2) Owner(3) Year(2) Serial(5)
+		// - Only metadata, a bad code is logged and dropped
+		if (lineup.startsWith('ISRC')) {
+			let ot = this.opentrack;
+			if (ot == null) { L.warn(`cdinfos : ISRC before any TRACK, ignored`); return; }
+			let res = /^\w+\s+"?([A-Z0-9]{5}\d{7})"?$/.exec(lineup);
+			if (res == null) { L.warn(`cdinfos : Track ${ot.no} - Invalid ISRC code, ignored`); return; }
+			ot.isrc = res[1];
+			return;
+		}
+
 		// |FILE "Quake.bin" BINARY
 		if (lineup.startsWith('FILE')) {
 			let exp = /^\w+\s+\"(.+)\"\s+(.+)/;	// Catch : ^wwwwss"(Quake.bin)"ss(BINARY)
 			let res = exp.exec(line);	// < lowercase line. I need the filename case sensitive
 			if (res == null) throw "Line error, Bad Syntax"
 			
-			if (!SUPPORTED_TRACK_FILES.includes(res[2])) {
+			if (!SUPPORTED_TRACK_FILES.includes(res[2]) && !ENCODED_TRACK_FILES.includes(res[2])) {
 				throw "Unsupported TRACK File Type " + res[2];
 			}
 
+			let ftype = res[2];
+			if (res[2] == "WAVE") {
+				ftype = ENCODED_EXT[PATH.extname(res[1]).toLowerCase()] ?? res[2];
+			}
+
+			// A track that was declared with only INDEX 00, has its pregap at the end of the previous file
+			// This file starts at INDEX 01 (EAC "gaps appended to previous track")
+			let ot = this.opentrack;
+			if (ot && !ot.file && ot.indexes.length == 1 && ot.indexes[0].no == 0) {
+				ot.gapAt = ot.indexes.pop();
+				ot.file = res[1];
+				ot.ftype = ftype;
+				return;
+			}
+
 			// [Safe Check] - Check if previous track is valid -- will autothrow --
 			this.opentrack?.validCheck();
 			this.openfile = res[1];
+			this.openftype = ftype;
 			return;
 		}
 
@@ -391,7 +1085,9 @@ export class cdinfos {
 			this.opentrack.no = parseInt(res[1]);
 			this.opentrack.type = res[2].toUpperCase();	// uppercase just in case
 			this.opentrack.file = this.openfile;	// If file was just defined, it will have a value
+			this.opentrack.ftype = this.openftype;
 			this.openfile = null;
+			this.openftype = null;
 			this.tracks.push(this.opentrack);
 			return;
 		}
@@ -433,6 +1129,24 @@ export class cdinfos {
 			return;
 		}
 
+		// |POSTGAP 00:02:00
+		if (lineup.startsWith('POSTGAP')) {
+			if (this.opentrack == null) throw "A Track is not defined yet";
+			if (!this.opentrack.indexExists(1)) throw `Track ${this.opentrack.no} - POSTGAP must come after INDEX`;
+			let exp = /\w+\s+(\d{1,2}):(\d{1,2}):(\d{1,2})/;	// 3 captures
+			let res = exp.exec(lineup);
+			if (res == null) throw "Line error, Bad Syntax"
+			this.opentrack.postgap = new cuetime(0,
+				parseInt(res[1]),
+				parseInt(res[2]),
+				parseInt(res[3])
+			);
+			return;
+		}
+
+		// Anything else is not a standard cue command, some tools write their own
+		L.log(`cdinfos : Ignoring line "${line}"`);
+
 	}// -------------------------;
 
 }// -- class cdinfos --
@@ -447,15 +1161,28 @@ class cdtrack {
 	// -- The following is data that is read directly from the .cue file
 
 	file = null;	// {String} The filename the track is associated with
+	ftype = null;	// {String} The type of the file as declared in the cue file (e.g. "BINARY")
+					// or "ECM", "ISO" for files packed by CBAE
 	type = null;	// {String} ENUM id of the type (e.g. "mode2/2352")
 	no = 0;			// {Int} Track Number 0-99
 
 	title = null;	// {String} Track title, if defined (TITLE)
 	artist = null;	// {String} Track Artist if defined (PERFORMER)
+	songwriter = null;	// {String} Track Songwriter if defined (SONGWRITER)
+	isrc = null;	// {String} ISRC code of the track, 12 characters (ISRC)
+
+	/** @type {String[]} */
+	flags = [];		// Subcode flags (FLAGS) e.g. ["DCP", "PRE"]
 
 	/** @type {cuetime} */
 	pregap = null;	// Pregap as defined in the cue file 
 
+	/** @type {cuetime} */
+	postgap = null;	// Postgap as defined in the cue file
+
+	/** @type {cuetime} */
+	gapAt = null;	// Parser helper. INDEX 00 that was declared in the previous FILE
+
 	/** @type {Array.<cuetime>} */
 	indexes = [];	//  All the indexes defined in the cue file 
 	/* INDEX 01 commands specify the beginning of a new track. INDEX 00 commands specify the pre-gap of a track; 
@@ -465,7 +1192,7 @@ class cdtrack {
 
 	// -- The following is secondary helper data, not to be written to the cue file
 
-	hash = '-';		// {String} Hash value of the track (generated interally)
+	hash = null;	// {Object} Hash values of the track (generated interally) e.g. {sha1:"..", crc32:".."}
 	byteStart = 0;	// In case of shared file, this is where the track starts in the file
 	byteSize = 0;	// In case of shared file, the length of the track from byteStart
 
@@ -474,6 +1201,22 @@ class cdtrack {
 	// Basically Means that the file needs to be CUT to be processed
 	// if <null> then this track is one file, can be copied as is
 
+	gapPrev = 0;	// {Int} Frames of the pregap (INDEX 00) that are at the end of the previous track
+					// The track starts at INDEX 01, and `byteStart` is there
+	trimmed = false;	// {Bool} The end of the file is not part of the track, e.g. the pregap of the next track was dropped
+
+	lba = null;		// {Int} Sector on the disc where the track starts. Only for tracks loaded from .gdi files
+
+	packed = null;		// {String} How the track was packed when encoding, "ECM" or "ISO". Written on the cue file
+	cookAddr = null;	// {String} For "ISO" packed tracks, the address of the first sector e.g. "00:02:00"
+	deemph = false;		// {Boolean} Audio was de-emphasized when encoding, the PRE flag is removed
+	encExt = null;		// {String} Extension of the encoded audio file e.g. ".flac", when it differs per track
+	silentGap = 0;		// {Int} Frames at the end of a silent audio track that are written as a POSTGAP, not in the file
+
+	peak = null;	// {Int} Highest sample of an audio track (0-32768), when it was scanned. 0 is digital silence
+
+	orig = null;	// {Object} Original track properties, read from `REM CBAE` lines. e.g. {bytes:3575040, sectors:1520, sha1:"..", crc32:".."}
+
 	/** Check if a particular index exists. -- for safechecks */
 	indexExists(ind) {
 		return this.indexes.some(a => a.no == ind);
@@ -485,16 +1228,67 @@ class cdtrack {
 		if (!this.indexExists(1)) throw `TRACK ${this.no} has no INDEX`
 	}
 
+	/** Cue lines that describe the track, to be written after the TRACK line
+	 * FLAGS, ISRC, TITLE, PERFORMER, SONGWRITER */
+	getInfoLines() {
+		let b = [];
+		let flags = this.deemph ? this.flags.filter(f => f != "PRE") : this.flags;
+		if(flags.length) b.push(`\t\tFLAGS ${flags.join(' ')}`);
+		if(this.isrc) b.push(`\t\tISRC ${this.isrc}`);
+		if(this.title)  b.push(`\t\tTITLE "${this.title}"`);
+		if(this.artist) b.push(`\t\tPERFORMER "${this.artist}"`);
+		if(this.songwriter) b.push(`\t\tSONGWRITER "${this.songwriter}"`);
+		return b;
+	}
+
 	/** Quick info of the Track */
 	toString() {
 		let s = this.indexes.reduce((p, c) => '' + p + ',' + c);
-		return `Track #${this.no}, type:${this.type}, indexes:[${s}], b0:${this.byteStart}, b1:${this.byteSize}, file:${this.file}, hash:${this.hash}, share:${this.shared}`;
+		return `Track #${this.no}, type:${this.type}, indexes:[${s}], b0:${this.byteStart}, b1:${this.byteSize}, file:${this.file}, hash:${this.hash?.sha1 ?? '-'}, share:${this.shared}`;
 	}
 
 	get isData() {
 		return this.type != "AUDIO";
 	}
 
+	/** Track file is encoded audio (OPUS, FLAC ...) and not raw CDDA */
+	get isEncoded() {
+		return ENCODED_TRACK_FILES.includes(this.ftype);
+	}
+
+	/** Track file is packed (ECM, ISO, SILENT), and needs to be decoded to be read */
+	get isPacked() {
+		return this.ftype == "ECM" || this.ftype == "ISO" || this.ftype == "SILENT";
+	}
+
+	/** Audio track that is silent, from its scanned `peak`
+	 * @returns {String} "digital" all zeroes | "near" up to about -60dB | null */
+	get silence() {
+		if (this.isData || this.peak == null) return null;
+		if (this.peak == 0) return "digital";
+		return this.peak <= SILENT_PEAK ? "near" : null;
+	}
+
+	/** Data track with MODE1 raw sectors, that can be converted to 2048 byte sectors */
+	get canCook() {
+		return this.type == "MODE1/2352";
+	}
+
+	/** Data track with full raw sectors, that ECM can pack */
+	get canPack() {
+		return this.isData && this.sectorSize == 2352;
+	}
+
+	/** Bytes per sector, depending on track type */
+	get sectorSize() {
+		return sectorsByType[this.type];
+	}
+
+	/** Number of sectors (frames) the track occupies */
+	get sectors() {
+		return Math.ceil(this.byteSize / this.sectorSize);
+	}
+
 	/** Return tracknumber in string XX format e.g. 01, 02 */
 	get noStr() {
 		return this.no.toString().padStart(2,'0');
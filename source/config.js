@@ -0,0 +1,99 @@
+/**
+ * config
+ * --------
+ * Configuration files for the 'cbae' CLI
+ * Default values for the command line options, and named presets of options
+ *
+ * - The user config is `.cbae.json` in the home folder
+ * - Project configs are `.cbae.json` files in the input folder and its parents
+ *   The closer to the input, the higher the priority
+ * - Order, lowest priority first : user config, project configs, preset, command line
+ *
+ * e.g.
+ *	{
+ *		"options": { "p": 6, "o": "c:\\encoded", "log": {"level": 4, "file": "c:\\cbae.log"} },
+ *		"presets": {
+ *			"dosbox": { "enc": "OPUS:64", "tname": "track{no}", "ecm": false, "o": "=src" }
+ *		}
+ *	}
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import { homedir } from 'node:os';
+import L from 'jlib/util/Log';
+import {getFile} from 'jlib/util/FsTools';
+
+
+// Filename of the config files
+export const CONFIG_FILE = ".cbae.json";
+
+
+/**
+ * Get the config files that exist for an input folder, lowest priority first
+ * @param {String} dir Folder of the input file
+ * @returns {String[]} Full paths
+ */
+export function findConfigs(dir)
+{
+	let files = [];
+	dir = PATH.resolve(dir);
+	for (;;) {
+		files.unshift(PATH.join(dir, CONFIG_FILE));
+		let up = PATH.dirname(dir);
+		if (up == dir) break;
+		dir = up;
+	}
+	let user = PATH.join(homedir(), CONFIG_FILE);
+	if (!files.includes(user)) files.unshift(user);
+	return files.filter(f => FS.existsSync(f));
+}// -------------------------------------------------------;
+
+
+/**
+ * Load and merge config files. Later files override earlier ones
+ * @param {String[]} files From `findConfigs()`
+ * @returns {{files:String[], options:Object, presets:Object, sources:Object}}
+ * 		sources : The file each option came from e.g. {p:"/home/a/.cbae.json"}
+ * @throws {String} Errors
+ */
+export function loadConfig(files)
+{
+	let c = {files, options: {}, presets: {}, sources: {}};
+	for (let f of files)
+	{
+		L.log(`config.load() :: Loading "${f}"`);
+		let str = getFile(f);
+		if (str === null) throw `Cannot load file "${f}"`;
+		let o;
+		try {
+			o = JSON.parse(str);
+		} catch (e) {
+			throw `Cannot parse config file "${f}"`;
+		}
+		for (let k in o.options) {
+			c.options[k] = o.options[k];
+			c.sources[k] = f;
+		}
+		for (let k in o.presets) c.presets[k] = {...c.presets[k], ...o.presets[k]};
+	}
+	return c;
+}// -------------------------------------------------------;
+
+
+/**
+ * Convert a config value to the string form of a command line option
+ * - Booleans are "1" or "" like the flags, log objects are "LEVEL=FILE"
+ * - Arrays are joined with `;` e.g. the "rules" : ["dur<5 FLAC", "no=2 OPUS:128"]
+ * @param {String} k Option name
+ * @param {*} v Value from the JSON file
+ * @returns {String} null to leave the option unset
+ */
+export function optionValue(k, v)
+{
+	if (v === true) return "1";
+	if (v === false || v == null) return null;
+	if (Array.isArray(v)) return v.join(';');
+	if (k == 'log' && typeof v == 'object') return (v.level != null ? `${v.level}=` : '') + (v.file ?? '');
+	return String(v);
+}// -------------------------------------------------------;
@@ -0,0 +1,164 @@
+/**
+ * datfile
+ * --------
+ * Simple loader for Logiqx XML DAT files | Made for the 'cbae' tool
+ * These are the datfiles that Redump and No-Intro provide
+ *
+ * NOTE:
+ *  This WILL NOT implement a full XML parser, just reads the
+ *  <game> and <rom> elements with regular expressions
+ *
+ * Resources:
+ *  + http://www.logiqx.com/DatFAQs/DatCreation.php
+ *  + http://redump.org/downloads/
+ */
+
+import L from 'jlib/util/Log';
+import {getFile} from 'jlib/util/FsTools';
+
+
+// Rom files with these extensions are not tracks, don't report them as missing
+const IGNORE_ROMS = [".cue", ".gdi", ".ccd", ".sub"];
+
+
+/** Replace the basic XML entities */
+function unescapeXML(s) {
+	return s.replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+			.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/** Get all the attributes of an element into an object
+ * e.g. 'name="a.bin" size="12"' -> {name:"a.bin", size:"12"} */
+function readAttr(s) {
+	let o = {};
+	for (let m of s.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) o[m[1]] = unescapeXML(m[2]);
+	return o;
+}
+
+
+/**
+ * Describe a Logiqx XML DAT file
+ * plus matching CD tracks against it
+ */
+export class datfile {
+
+	NAME = "";				// DAT name, as defined in the <header>
+	FILE_LOADED = null;		// Path of the DAT file
+
+	/** All games in the DAT
+	 * @type {Array.<{name:String, roms:Array.<{name:String, size:Number, crc:String, md5:String, sha1:String}>}>} */
+	games = [];
+
+	/** Quick ROM lookup. Key is "crc:size"
+	 * @type {Map<String, Array>} */
+	_index = new Map();
+
+	/**
+	 * @param {String} file A valid XML DAT file
+	 * @throws {String} Errors
+	 */
+	constructor(file)
+	{
+		if(file) this.load(file);
+	}
+
+	/**
+	 * Load a DAT file and fill the `games` array
+	 * @param {String} file
+	 * @throws {String} Errors
+	 */
+	load(file)
+	{
+		L.log(`datfile.load() :: Loading "${file}"`);
+		let str = getFile(file);
+		if (str === null) throw `Cannot load file "${file}"`;
+
+		let res = /<header>[\s\S]*?<name>([\s\S]*?)<\/name>/.exec(str);
+		if (res) this.NAME = unescapeXML(res[1].trim());
+
+		// DEV: MAME style DATS use <machine> instead of <game>
+		for (let g of str.matchAll(/<(game|machine)\s([^>]*)>([\s\S]*?)<\/\1>/g))
+		{
+			let game = { name: readAttr(g[2]).name ?? "", roms: [] };
+			for (let r of g[3].matchAll(/<rom\s([^>]*?)\/?>/g))
+			{
+				let a = readAttr(r[1]);
+				let rom = {
+					name: a.name ?? "",
+					size: parseInt(a.size),
+					crc: a.crc?.toLowerCase(),
+					md5: a.md5?.toLowerCase(),
+					sha1: a.sha1?.toLowerCase(),
+					game
+				};
+				game.roms.push(rom);
+				let k = `${rom.crc}:${rom.size}`;
+				if (!this._index.has(k)) this._index.set(k, []);
+				this._index.get(k).push(rom);
+			}
+			this.games.push(game);
+		}
+
+		if (this.games.length == 0) throw `No games found in "${file}". Is it a Logiqx XML DAT?`;
+		this.FILE_LOADED = file;
+		L.log(`DAT INFO | name:"${this.NAME}" games:(${this.games.length}) roms:(${this._index.size})`);
+	}// -------------------------;
+
+
+	/**
+	 * Find all the ROMs that match a track. Every hash that exists in both
+	 * the track and the ROM must match, plus the size.
+	 * @param {{byteSize:Number, hash:Object}} tr A track with `hash` {crc32, md5, sha1}
+	 * @returns {Array} ROM entries. Empty for no match
+	 */
+	findTrack(tr)
+	{
+		let h = tr.hash;
+		if (!h?.crc32) return [];
+		let c = this._index.get(`${h.crc32}:${tr.byteSize}`) ?? [];
+		return c.filter(r => (!r.md5 || !h.md5 || r.md5 == h.md5) && (!r.sha1 || !h.sha1 || r.sha1 == h.sha1));
+	}// -------------------------;
+
+
+	/**
+	 * Match all tracks of a CD against the DAT
+	 * - The game with the most matching tracks is selected
+	 * - Tracks need to have their `hash` set with {crc32, md5, sha1}
+	 * @param {import('./cdinfos.js').cdinfos} cd
+	 * @returns {{game:String, ok:Boolean, bad:Number[], missing:String[]}}
+	 *  game : Name of the matched game, <null> if nothing matched
+	 *  ok : Every track matched and nothing is missing
+	 *  bad : Track numbers that did not match a ROM of the game
+	 *  missing : ROM names of the game that no track matched
+	 */
+	matchCD(cd)
+	{
+		let found = cd.tracks.map(tr => this.findTrack(tr));
+
+		// Vote for the game with the most matches
+		let votes = new Map();
+		for (let roms of found)
+			for (let g of new Set(roms.map(r => r.game)))
+				votes.set(g, (votes.get(g) ?? 0) + 1);
+
+		let game = null, max = 0;
+		votes.forEach((v, g) => { if (v > max) { max = v; game = g; } });
+
+		if (!game) {
+			return { game: null, ok: false, bad: cd.tracks.map(t => t.no), missing: [] };
+		}
+
+		let used = new Set();
+		let bad = [];
+		cd.tracks.forEach((tr, i) => {
+			let r = found[i].find(r => r.game == game && !used.has(r));
+			if (r) used.add(r); else bad.push(tr.no);
+		});
+
+		let missing = game.roms.filter(r => !used.has(r) &&
+				!IGNORE_ROMS.some(e => r.name.toLowerCase().endsWith(e))).map(r => r.name);
+
+		return { game: game.name, ok: bad.length == 0 && missing.length == 0, bad, missing };
+	}// -------------------------;
+
+}// -- class datfile --
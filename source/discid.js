@@ -0,0 +1,241 @@
+/**
+ * discid
+ * --------
+ * Disc IDs from the TOC of a CD | Made for the 'cbae' tool
+ * And a lookup of CD metadata in local freedb directories or JSON files
+ *
+ * NOTE:
+ *  The TOC is calculated from the track positions of the loaded
+ *  cue file, so the IDs are only correct for complete images
+ *
+ * Resources:
+ *  + https://en.wikipedia.org/wiki/CDDB#Example_calculation_of_a_CDDB1_(FreeDB)_disc_ID
+ *  + https://musicbrainz.org/doc/Disc_ID_Calculation
+ *  + https://github.com/freedb/freedb/blob/master/doc/xmcd-format.txt
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import { createHash } from 'node:crypto';
+import L from 'jlib/util/Log';
+import {getFile} from 'jlib/util/FsTools';
+
+
+// Frames before the first track on every CD (2 seconds)
+const LEAD_IN = 150;
+
+// Gap between the two sessions of an Enhanced CD (audio first, data last)
+const SESSION_GAP = 11400;
+
+
+/**
+ * Get the TOC of a loaded CD. Offsets are in frames (sectors) and include the 150 frame lead-in
+ * - Tracks loaded from .gdi files keep their LBA
+ * @param {import('./cdinfos.js').cdinfos} cd
+ * @returns {{first:Number, last:Number, offsets:Number[], leadout:Number}}
+ */
+export function getTOC(cd)
+{
+	let offsets = [];
+	let pos = LEAD_IN;	// Frames of all previous tracks, plus their gaps
+	for (let tr of cd.tracks)
+	{
+		// Same as the .gdi builder, the track starts at INDEX 01. PREGAP and POSTGAP take space on the CD
+		let i1 = tr.indexes.find(x => x.no == 1).toFrames() - tr.indexes[0].toFrames();
+		let lba = tr.lba != null ? tr.lba + LEAD_IN : pos + (tr.pregap?.toFrames() ?? 0) + i1;
+		offsets.push(lba);
+		pos = lba + tr.sectors - i1 + (tr.postgap?.toFrames() ?? 0);
+	}
+	return { first: cd.tracks[0].no, last: cd.tracks.at(-1).no, offsets, leadout: pos };
+}// -------------------------------------------------------;
+
+
+/**
+ * Calculate the freedb/CDDB disc ID
+ * @param {{offsets:Number[], leadout:Number}} toc From `getTOC()`
+ * @returns {String} 8 hex characters e.g. "8a0b2c0d"
+ */
+export function cddbId(toc)
+{
+	let n = 0;
+	for (let o of toc.offsets) {
+		for (let s = Math.floor(o / 75); s > 0; s = Math.floor(s / 10)) n += s % 10;
+	}
+	let t = Math.floor(toc.leadout / 75) - Math.floor(toc.offsets[0] / 75);
+	return (((n % 255) << 24 | t << 8 | toc.offsets.length) >>> 0).toString(16).padStart(8, '0');
+}// -------------------------------------------------------;
+
+
+/**
+ * Calculate the MusicBrainz disc ID
+ * - A data track at the end of the CD (Enhanced CD) is on its own session, it is not counted
+ * @param {{first:Number, last:Number, offsets:Number[], leadout:Number}} toc From `getTOC()`
+ * @param {Boolean} lastData The last track is a data track
+ * @returns {String} 28 characters e.g. "49HHV7Eb8UKF3aQiNmu1GR8vKTY-"
+ */
+export function musicbrainzId(toc, lastData = false)
+{
+	let {first, last, offsets, leadout} = toc;
+	if (lastData && offsets.length > 1) {
+		leadout = offsets.at(-1) - SESSION_GAP;
+		offsets = offsets.slice(0, -1);
+		last--;
+	}
+	let X = (n, l) => n.toString(16).toUpperCase().padStart(l, '0');
+	let s = X(first, 2) + X(last, 2) + X(leadout, 8);
+	for (let i = 0; i < 99; i++) s += X(offsets[i] ?? 0, 8);
+	return createHash('sha1').update(s).digest('base64')
+			.replace(/\+/g, '.').replace(/\//g, '_').replace(/=/g, '-');
+}// -------------------------------------------------------;
+
+
+/**
+ * Read an xmcd (freedb) file. Keys that span multiple lines are joined
+ * @param {String} str File contents
+ * @returns {{keys:Object, offsets:Number[]}}
+ */
+function readXmcd(str)
+{
+	let keys = {};
+	let offsets = [];
+	let inOffsets = false;
+	for (let line of str.split(/\r?\n/))
+	{
+		if (line.startsWith('#')) {
+			if (/Track frame offsets/i.test(line)) { inOffsets = true; continue; }
+			let res = /^#\s*(\d+)\s*$/.exec(line);
+			if (inOffsets && res) offsets.push(parseInt(res[1]));
+			else inOffsets = false;
+			continue;
+		}
+		let res = /^(\w+)=(.*)$/.exec(line);
+		if (res) keys[res[1]] = (keys[res[1]] ?? "") + res[2];
+	}
+	return {keys, offsets};
+}
+
+
+/** Split an xmcd "Artist / Title" string. When there is no artist, returns [null, title] */
+function splitArtist(s)
+{
+	let i = s.indexOf(' / ');
+	return i < 0 ? [null, s] : [s.slice(0, i), s.slice(i + 3)];
+}
+
+
+/**
+ * Local CD metadata database
+ * - A freedb directory, with files named after the CDDB ID. e.g. "freedb/misc/8a0b2c0d"
+ * - Or a JSON file, where keys are CDDB or MusicBrainz IDs
+ * 		{ "8a0b2c0d" : { "title":"Quake", "artist":"Trent Reznor", "date":"1996", "genre":"Game",
+ *			"tracks":[ "Data", {"title":"Aftermath", "artist":"..."}, ... ] } }
+ */
+export class discdb {
+
+	FILE_LOADED = null;		// Path of the JSON file or the freedb directory
+
+	/** Entries of a JSON file, null when using a freedb directory
+	 * @type {Object} */
+	_json = null;
+
+	/**
+	 * @param {String} path A freedb directory or a JSON file
+	 * @throws {String} Errors
+	 */
+	constructor(path)
+	{
+		if(path) this.load(path);
+	}
+
+	/**
+	 * @param {String} path
+	 * @throws {String} Errors
+	 */
+	load(path)
+	{
+		L.log(`discdb.load() :: Loading "${path}"`);
+		this.FILE_LOADED = path;
+		this._json = null;
+		if (FS.existsSync(path) && FS.statSync(path).isDirectory()) return;
+
+		let str = getFile(path);
+		if (str === null) throw `Cannot load file "${path}"`;
+		try {
+			this._json = JSON.parse(str);
+		} catch (e) {
+			throw `Cannot parse JSON file "${path}"`;
+		}
+		// Keys are case insensitive for CDDB IDs
+		for (let k in this._json) this._json[k.toLowerCase()] = this._json[k];
+	}// -------------------------------------------------------;
+
+	/**
+	 * Find the metadata of a CD
+	 * @param {import('./cdinfos.js').cdinfos} cd
+	 * @returns {{title:String, artist:String, date:String, genre:String, tracks:Array.<{title:String, artist:String}>}} null for no match
+	 */
+	lookup(cd)
+	{
+		let toc = getTOC(cd);
+		let id = cddbId(toc);
+		if (this._json) {
+			let mb = musicbrainzId(toc, cd.tracks.at(-1).isData);
+			let e = this._json[mb.toLowerCase()] ?? this._json[id];
+			if (!e) return null;
+			return {
+				title: e.title ?? null, artist: e.artist ?? null,
+				date: e.date != null ? String(e.date) : null, genre: e.genre ?? null,
+				tracks: (e.tracks ?? []).map(t => typeof t == 'string' ? {title:t, artist:null} : {title: t.title ?? null, artist: t.artist ?? null})
+			};
+		}
+
+		// freedb dumps have a folder for each category, with a file for each disc
+		let dirs = [this.FILE_LOADED];
+		for (let f of FS.readdirSync(this.FILE_LOADED, {withFileTypes:true})) {
+			if (f.isDirectory()) dirs.push(PATH.join(this.FILE_LOADED, f.name));
+		}
+		for (let d of dirs)
+		{
+			let str = getFile(PATH.join(d, id));
+			if (str === null) continue;
+			let {keys, offsets} = readXmcd(str);
+			// DEV: CDDB IDs can collide, the offsets in the file should match
+			if (offsets.length && offsets.join() != toc.offsets.join()) {
+				L.log(`discdb.lookup() :: "${PATH.join(d, id)}" has different offsets`);
+				continue;
+			}
+			let [artist, title] = splitArtist(keys.DTITLE ?? "");
+			let tracks = cd.tracks.map((t, i) => {
+				let [a, tt] = splitArtist(keys[`TTITLE${i}`] ?? "");
+				return {title: tt || null, artist: a};
+			});
+			// Various artists discs, the tracks without an artist are by the disc artist
+			if (tracks.some(t => t.artist)) tracks.forEach(t => t.artist ??= artist);
+			return {
+				title: title || null, artist,
+				date: keys.DYEAR || null, genre: keys.DGENRE || null,
+				tracks
+			};
+		}
+		return null;
+	}// -------------------------------------------------------;
+
+	/**
+	 * Write the metadata of a match to the CD and its tracks
+	 * - Overrides what was read from the cue file
+	 * @param {import('./cdinfos.js').cdinfos} cd
+	 * @param {Object} m From `lookup()`
+	 */
+	static apply(cd, m)
+	{
+		if (m.title) cd.CD_TITLE = m.title;
+		if (m.artist) cd.CD_ARTIST = m.artist;
+		if (m.date) cd.CD_DATE = m.date;
+		if (m.genre) cd.CD_GENRE = m.genre;
+		cd.tracks.forEach((tr, i) => {
+			if (m.tracks[i]?.title) tr.title = m.tracks[i].title;
+			if (m.tracks[i]?.artist) tr.artist = m.tracks[i].artist;
+		});
+	}// -------------------------------------------------------;
+
+}// -------------------------------------------------------;
@@ -0,0 +1,520 @@
+/**
+ * ecm
+ * --------
+ * Error Code Modeler for raw CD sectors | Made for the 'cbae' tool
+ * Strips the sync, EDC and ECC bytes of MODE1/2352 and MODE2/2352 sectors,
+ * since they can be generated again from the rest of the sector
+ * Also converts MODE1 sectors to plain 2048 byte user data (.iso) and back
+ *
+ * NOTE:
+ *  The files are compatible with Neill Corlett's ECM v1.0, so `unecm` can
+ *  also restore them. Data is read in whole sectors, it does not scan for
+ *  sectors at every byte offset like the original tool does.
+ *  For MODE2 sectors the 16 bytes of sync/header are kept as they are.
+ *
+ * Resources:
+ *  + https://en.wikipedia.org/wiki/CD-ROM#Sector_structure
+ *  + ECM v1.0 source code (ecm.c, unecm.c) by Neill Corlett
+ */
+
+import * as FS from 'node:fs';
+import { Readable } from 'node:stream';
+import L from 'jlib/util/Log';
+
+
+// All ECM files start with this
+const MAGIC = Buffer.from([0x45, 0x43, 0x4D, 0x00]); // "ECM\0"
+
+const SYNC = Buffer.from([0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x00]);
+
+// Record types
+// 0 : Raw bytes, copied as they are
+// 1 : MODE1 sector (2352 bytes), stores the address and the 2048 bytes of data
+// 2 : MODE2 XA Form1 sector (2336 bytes, no sync/header), stores the subheader and the 2048 bytes of data
+// 3 : MODE2 XA Form2 sector (2336 bytes, no sync/header), stores the subheader and the 2324 bytes of data
+const STORED = [0, 0x803, 0x804, 0x918];	// Bytes stored per sector, for each type
+const OUTPUT = [0, 2352, 2336, 2336];	// Bytes generated per sector, for each type
+
+// Flush a record when it holds this many bytes, so that nothing big is kept in memory
+const MAX_RECORD = 1 << 20;
+
+
+// EDC and ECC lookup tables, built on first use
+var ECC_F = null, ECC_B = null, EDC_LUT = null;
+
+function buildTables()
+{
+	ECC_F = new Uint8Array(256);
+	ECC_B = new Uint8Array(256);
+	EDC_LUT = new Uint32Array(256);
+	for (let i = 0; i < 256; i++) {
+		let j = ((i << 1) ^ (i & 0x80 ? 0x11D : 0)) & 0xFF;
+		ECC_F[i] = j;
+		ECC_B[i ^ j] = i;
+		let edc = i;
+		for (j = 0; j < 8; j++) edc = (edc >>> 1) ^ (edc & 1 ? 0xD8018001 : 0);
+		EDC_LUT[i] = edc >>> 0;
+	}
+}// -- end fn --
+
+/** Update an EDC value with bytes [start, end) of a buffer. Start with edc=0 */
+function edcCompute(buf, start, end, edc = 0)
+{
+	if (!EDC_LUT) buildTables();
+	for (let i = start; i < end; i++) edc = (edc >>> 8) ^ EDC_LUT[(edc ^ buf[i]) & 0xFF];
+	return edc >>> 0;
+}// -- end fn --
+
+/** Compute the P or Q parity of a sector. {src} is the offset of the header (0x0C) */
+function eccBlock(s, src, majorCount, minorCount, majorMult, minorInc, dest)
+{
+	let size = majorCount * minorCount;
+	for (let major = 0; major < majorCount; major++) {
+		let index = (major >> 1) * majorMult + (major & 1);
+		let a = 0, b = 0;
+		for (let minor = 0; minor < minorCount; minor++) {
+			let t = s[src + index];
+			index += minorInc;
+			if (index >= size) index -= size;
+			a ^= t;
+			b ^= t;
+			a = ECC_F[a];
+		}
+		a = ECC_B[ECC_F[a] ^ b];
+		s[dest + major] = a;
+		s[dest + major + majorCount] = a ^ b;
+	}
+}// -- end fn --
+
+/** Write the P and Q parity of a sector. MODE2 sectors use a zeroed address */
+function eccGenerate(s, zeroAddress)
+{
+	if (!ECC_F) buildTables();
+	let addr = s.readUInt32BE(0x0C);
+	if (zeroAddress) s.writeUInt32BE(0, 0x0C);
+	eccBlock(s, 0x0C, 86, 24, 2, 86, 0x81C);	// P
+	eccBlock(s, 0x0C, 52, 43, 86, 88, 0x8C8);	// Q
+	if (zeroAddress) s.writeUInt32BE(addr, 0x0C);
+}// -- end fn --
+
+/**
+ * Generate all the missing parts of a 2352 byte sector, in place
+ * - Type 1 needs the address at 0x0C and the data at 0x10
+ * - Type 2,3 need the subheader at 0x14 and the data at 0x18
+ */
+function sectorGenerate(s, type)
+{
+	switch (type) {
+		case 1:
+			SYNC.copy(s, 0);
+			s[0x0F] = 1;
+			s.writeUInt32LE(edcCompute(s, 0, 0x810), 0x810);
+			s.fill(0, 0x814, 0x81C);
+			eccGenerate(s, false);
+			break;
+		case 2:
+			s.copy(s, 0x10, 0x14, 0x18);
+			s.writeUInt32LE(edcCompute(s, 0x10, 0x818), 0x818);
+			eccGenerate(s, true);
+			break;
+		case 3:
+			s.copy(s, 0x10, 0x14, 0x18);
+			s.writeUInt32LE(edcCompute(s, 0x10, 0x92C), 0x92C);
+			break;
+	}
+}// -- end fn --
+
+
+/**
+ * Find out how a 2352 byte sector can be stored
+ * @param {Buffer} s Sector
+ * @param {Buffer} tmp Work buffer, 2352 bytes
+ * @returns {Number} 1 for MODE1, 2 or 3 for MODE2 (from offset 0x10), 0 for none
+ */
+function sectorType(s, tmp)
+{
+	if (s.compare(SYNC, 0, 12, 0, 12) != 0) return 0;
+
+	if (s[0x0F] == 1) {
+		s.copy(tmp, 0x0C, 0x0C, 0x0F);
+		s.copy(tmp, 0x10, 0x10, 0x810);
+		sectorGenerate(tmp, 1);
+		return tmp.equals(s) ? 1 : 0;
+	}
+
+	if (s[0x0F] == 2 && s.compare(s, 0x10, 0x14, 0x14, 0x18) == 0) {
+		s.copy(tmp, 0, 0, 0x818);
+		sectorGenerate(tmp, 2);
+		if (tmp.equals(s)) return 2;
+		s.copy(tmp, 0, 0, 0x92C);
+		sectorGenerate(tmp, 3);
+		if (tmp.equals(s)) return 3;
+	}
+
+	return 0;
+}// -- end fn --
+
+
+/** Write the type and count of a record. ({count}-1) is stored, in 5 then 7 bit groups */
+function typeCount(type, count)
+{
+	let b = [];
+	count--;
+	b.push(((count >= 32) << 7) | ((count & 31) << 2) | type);
+	count = Math.floor(count / 32);
+	while (count) {
+		b.push(((count >= 128) << 7) | (count & 127));
+		count = Math.floor(count / 128);
+	}
+	return Buffer.from(b);
+}// -- end fn --
+
+
+
+/** Decode the BCD address (mm:ss:ff) of a sector header to frames */
+function addrToFrames(s)
+{
+	const n = (b) => (b >> 4) * 10 + (b & 15);
+	return (n(s[0x0C]) * 60 + n(s[0x0D])) * 75 + n(s[0x0E]);
+}// -- end fn --
+
+/** Write frames to the BCD address of a sector header */
+function framesToAddr(f, s)
+{
+	const b = (n) => Math.floor(n / 10) * 16 + n % 10;
+	s[0x0C] = b(Math.floor(f / 4500));
+	s[0x0D] = b(Math.floor(f / 75) % 60);
+	s[0x0E] = b(f % 75);
+}// -- end fn --
+
+
+/**
+ * Read a stream in whole sectors. Every chunk is a multiple of {size}
+ * except the last one, which can have a partial sector
+ */
+async function* sectorChunks(strIn, size = 2352)
+{
+	let left = Buffer.alloc(0);
+	for await (let chunk of strIn) {
+		let b = left.length ? Buffer.concat([left, chunk]) : chunk;
+		let n = b.length - b.length % size;
+		if (n) yield b.subarray(0, n);
+		left = Buffer.from(b.subarray(n));
+	}
+	if (left.length) yield left;
+}// -- end fn --
+
+
+/** Open a file for writing, get a function that writes to it and one that closes it */
+async function openOut(dest)
+{
+	let fo;
+	try {
+		fo = await FS.promises.open(dest, 'w');
+	} catch (er) {
+		throw `Could not write file '${dest}'`;
+	}
+	return {
+		write: async (b) => {
+			try { await fo.write(b); } catch (er) { throw `Could not write file '${dest}'`; }
+		},
+		close: () => fo.close()
+	};
+}// -- end fn --
+
+
+
+/**
+ * Promise, Compress raw sectors into an .ecm file . @throws
+ * - Sectors that can't be regenerated bit-exact are stored as they are
+ * @param {import('node:stream').Readable} strIn Data with 2352 byte sectors
+ * @param {String} dest The .ecm file to create
+ * @returns {Promise<Number>} Size of the generated file
+ */
+export async function encodeECM(strIn, dest)
+{
+	let fo = await openOut(dest);	// *THROWS {String}
+
+	L.debug(`Encoding ECM to "${dest}"`);
+
+	let outSize = 0;
+	let edc = 0;
+
+	// The current record
+	let rType = 0, rCount = 0, rData = [], rSize = 0;
+
+	const write = async (b) => {
+		outSize += b.length;
+		await fo.write(b);
+	};
+
+	const flush = async () => {
+		if (rCount == 0) return;
+		await write(Buffer.concat([typeCount(rType, rCount), ...rData]));
+		rCount = 0; rData = []; rSize = 0;
+	};
+
+	const add = async (type, data, count) => {
+		if (type != rType || rSize >= MAX_RECORD) await flush();
+		rType = type;
+		rCount += count;
+		rData.push(data);
+		rSize += data.length;
+	};
+
+	try {
+		await write(MAGIC);
+
+		let tmp = Buffer.alloc(2352);
+
+		for await (let chunk of sectorChunks(strIn)) {
+			edc = edcCompute(chunk, 0, chunk.length, edc);
+
+			let i = 0;
+			for (; i + 2352 <= chunk.length; i += 2352) {
+				let s = chunk.subarray(i, i + 2352);
+				switch (sectorType(s, tmp)) {
+					case 1:
+						await add(1, Buffer.concat([s.subarray(0x0C, 0x0F), s.subarray(0x10, 0x810)]), 1);
+						break;
+					case 2:
+						await add(0, Buffer.from(s.subarray(0, 0x10)), 0x10);
+						await add(2, Buffer.from(s.subarray(0x14, 0x818)), 1);
+						break;
+					case 3:
+						await add(0, Buffer.from(s.subarray(0, 0x10)), 0x10);
+						await add(3, Buffer.from(s.subarray(0x14, 0x92C)), 1);
+						break;
+					default:
+						await add(0, Buffer.from(s), 2352);
+				}
+			}
+
+			// DEV: Only the last chunk can have a partial sector
+			if (i < chunk.length) await add(0, Buffer.from(chunk.subarray(i)), chunk.length - i);
+		}
+
+		await flush();
+
+		// End of records, then the EDC of all the decoded data
+		let e = Buffer.alloc(4);
+		e.writeUInt32LE(edc);
+		await write(Buffer.concat([typeCount(0, 0x100000000), e]));
+
+	} catch (er) {
+		if (typeof (er) == 'string') throw er;
+		throw `Could not read the data for '${dest}'`;
+	} finally {
+		await fo.close();
+	}
+
+	return outSize;
+}// -- end fn --
+
+
+
+/**
+ * Decode an .ecm file, get the restored data in chunks
+ * @param {String|import('node:stream').Readable} source The .ecm file, or a stream of it (e.g. from a zip)
+ * @param {String} name For the error messages, when `source` is a stream
+ * @yields {Buffer}
+ * @throws {String} Errors
+ */
+export async function* decodeECM(source, name = source)
+{
+	let fi = null, it = null;
+	if (typeof source == 'string') {
+		try {
+			fi = await FS.promises.open(source, 'r');
+		} catch (er) {
+			throw `Cannot read file '${source}'`;
+		}
+	} else {
+		it = source[Symbol.asyncIterator]();
+	}
+
+	L.debug(`Decoding ECM "${name}"`);
+
+	// Buffered reading of the file, or the chunks of the stream as they come
+	let buf = Buffer.alloc(0x10000), bLen = 0, bPos = 0, fPos = 0;
+	const read = async (n) => {
+		let o = Buffer.alloc(n), oPos = 0;
+		while (oPos < n) {
+			if (bPos == bLen) {
+				if (fi) {
+					bLen = (await fi.read(buf, 0, buf.length, fPos)).bytesRead;
+				} else {
+					let r = await it.next();
+					buf = r.done ? Buffer.alloc(0) : r.value;
+					bLen = buf.length;
+				}
+				if (bLen == 0) throw `Unexpected end of ECM file '${name}'`;
+				fPos += bLen;
+				bPos = 0;
+			}
+			let c = Math.min(n - oPos, bLen - bPos);
+			buf.copy(o, oPos, bPos, bPos + c);
+			oPos += c;
+			bPos += c;
+		}
+		return o;
+	};
+
+	let edc = 0;
+	let out = [], outSize = 0;
+	const push = (b) => {
+		edc = edcCompute(b, 0, b.length, edc);
+		out.push(b);
+		outSize += b.length;
+	};
+
+	try {
+		if (!(await read(4)).equals(MAGIC)) throw `'${name}' is not an ECM file`;
+
+		for (;;) {
+			let c = (await read(1))[0];
+			let type = c & 3;
+			let count = (c >> 2) & 0x1F;
+			let bits = 5;
+			while (c & 0x80) {
+				if (bits > 32) throw `Corrupt ECM file '${name}'`;
+				c = (await read(1))[0];
+				count += (c & 0x7F) * 2 ** bits;
+				bits += 7;
+			}
+			if (count == 0xFFFFFFFF) break;
+			count++;
+
+			if (type == 0) {
+				while (count > 0) {
+					let n = Math.min(count, MAX_RECORD);
+					push(await read(n));
+					count -= n;
+					if (outSize >= MAX_RECORD) { yield Buffer.concat(out); out = []; outSize = 0; }
+				}
+				continue;
+			}
+
+			for (; count > 0; count--) {
+				let s = Buffer.alloc(2352);
+				let d = await read(STORED[type]);
+				if (type == 1) {
+					d.copy(s, 0x0C, 0, 3);
+					d.copy(s, 0x10, 3);
+				} else {
+					d.copy(s, 0x14);
+				}
+				sectorGenerate(s, type);
+				push(s.subarray(2352 - OUTPUT[type]));
+				if (outSize >= MAX_RECORD) { yield Buffer.concat(out); out = []; outSize = 0; }
+			}
+		}
+
+		if (outSize) yield Buffer.concat(out);
+		if ((await read(4)).readUInt32LE() != edc) throw `ECM file '${name}' failed the checksum`;
+
+	} finally {
+		if (fi) await fi.close();
+		else source.destroy();
+	}
+}// -- end fn --
+
+
+
+/** Get a Readable stream with the decoded data of an .ecm file, see `decodeECM()` */
+export function ecmStream(source, name = source)
+{
+	return Readable.from(decodeECM(source, name), { objectMode: false });
+}// -- end fn --
+
+
+
+/**
+ * Promise, Keep only the 2048 bytes of user data of MODE1 sectors . @throws
+ * - Every sector must be a valid MODE1 sector, with consecutive addresses,
+ *   so that `uncookMode1()` can build it again bit-exact
+ * @param {import('node:stream').Readable} strIn Data with 2352 byte sectors
+ * @param {String} dest The .iso file to create
+ * @returns {Promise<String>} Address of the first sector, e.g. "00:02:00"
+ */
+export async function cookMode1(strIn, dest)
+{
+	let fo = await openOut(dest);	// *THROWS {String}
+
+	L.debug(`Converting MODE1 sectors to "${dest}"`);
+
+	let tmp = Buffer.alloc(2352);
+	let n = 0;			// Sectors read
+	let addr = null;	// Frames of the first sector
+
+	try {
+		for await (let chunk of sectorChunks(strIn)) {
+			if (chunk.length % 2352) throw "Cannot convert to ISO, the data is not whole 2352 byte sectors";
+			let out = Buffer.alloc(chunk.length / 2352 * 2048);
+			for (let i = 0; i < chunk.length; i += 2352, n++) {
+				let s = chunk.subarray(i, i + 2352);
+				if (s.compare(SYNC, 0, 12, 0, 12) != 0) throw `Cannot convert to ISO, sector ${n} has no sync pattern`;
+				if (s[0x0F] != 1) throw `Cannot convert to ISO, sector ${n} is Mode ${s[0x0F]}`;
+				if (addr === null) addr = addrToFrames(s);
+				if (addrToFrames(s) != addr + n) throw `Cannot convert to ISO, sector ${n} has a wrong address`;
+				if (sectorType(s, tmp) != 1) throw `Cannot convert to ISO, sector ${n} is damaged (EDC/ECC)`;
+				s.copy(out, i / 2352 * 2048, 0x10, 0x810);
+			}
+			await fo.write(out);
+		}
+		if (addr === null) throw "Cannot convert to ISO, no sectors";
+
+	} catch (er) {
+		if (typeof (er) == 'string') throw er;
+		throw `Could not read the data for '${dest}'`;
+	} finally {
+		await fo.close();
+	}
+
+	let a = [Math.floor(addr / 4500), Math.floor(addr / 75) % 60, addr % 75];
+	return a.map(x => x.toString().padStart(2, '0')).join(':');
+}// -- end fn --
+
+
+
+/**
+ * Build raw MODE1 sectors from a file with 2048 byte sectors
+ * @param {String|import('node:stream').Readable} source The .iso file, or a stream of it (e.g. from a zip)
+ * @param {String} addr Address of the first sector, as returned from `cookMode1()`
+ * @param {String} name For the error messages, when `source` is a stream
+ * @yields {Buffer}
+ * @throws {String} Errors
+ */
+export async function* uncookMode1(source, addr, name = source)
+{
+	let m = /^(\d+):(\d+):(\d+)$/.exec(addr);
+	if (!m) throw `Bad sector address "${addr}"`;
+	let f = (parseInt(m[1]) * 60 + parseInt(m[2])) * 75 + parseInt(m[3]);
+
+	let strIn;
+	try {
+		strIn = typeof source == 'string' ? FS.createReadStream(source) : source;
+		for await (let chunk of sectorChunks(strIn, 2048)) {
+			if (chunk.length % 2048) throw `'${name}' is not whole 2048 byte sectors`;
+			let out = Buffer.alloc(chunk.length / 2048 * 2352);
+			for (let i = 0, o = 0; i < chunk.length; i += 2048, o += 2352, f++) {
+				let s = out.subarray(o, o + 2352);
+				framesToAddr(f, s);
+				chunk.copy(s, 0x10, i, i + 2048);
+				sectorGenerate(s, 1);
+			}
+			yield out;
+		}
+	} catch (er) {
+		if (typeof (er) == 'string') throw er;
+		throw `Cannot read file '${name}'`;
+	}
+}// -- end fn --
+
+
+
+/** Get a Readable stream with the raw sectors of an .iso file made with `cookMode1()`, see `uncookMode1()` */
+export function isoStream(source, addr, name = source)
+{
+	return Readable.from(uncookMode1(source, addr, name), { objectMode: false });
+}// -- end fn --
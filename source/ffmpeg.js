@@ -0,0 +1,172 @@
+/**
+ * ffmpeg
+ * --------
+ * FFmpeg argument strings and the supported encoders | Made for the 'cbae' tool
+ * - Arguments are separated with `|`, this is what `Proc2` expects
+ *
+ * Resources:
+ *  + https://ffmpeg.org/ffmpeg.html
+ *  + https://trac.ffmpeg.org/wiki/Encode/HighQualityAudio
+ */
+
+import * as TL from 'jlib/util/Tools';
+
+
+export const FFMPEG = {
+		
+	// String to force RAW CDDA format. Can be used for input and output as well
+	rawStr : '-f|s16le|-ar|44100|-ac|2',
+
+	/**
+	 * Input string for reading an already encoded audio file (mp3, flac ...)
+	 * - Drops any video stream (cover art)
+	 * - If the file holds more tracks, cut it with the CDDA byte positions (176400 bytes per second)
+	 * @param {String} file Encoded audio file
+	 * @param {Number} byteStart Where the track starts, as if the file was CDDA
+	 * @param {Number} byteSize Length of the track, as if the file was CDDA. (0) to read it all
+	 * @param {String} af Extra audio filter to apply, e.g. `FFMPEG.deemph`
+	 */
+	getInput(file, byteStart = 0, byteSize = 0, af = null)
+	{
+		let s = `-i|${file}|-vn`;
+		let f = [];
+		if (byteStart > 0 || byteSize > 0) {
+			f.push(`atrim=start=${byteStart / 176400}` + (byteSize ? `:end=${(byteStart + byteSize) / 176400}` : ''),
+				 'asetpts=PTS-STARTPTS');
+		}
+		if (af) f.push(af);
+		if (f.length) s += `|-af|${f.join(',')}`;
+		return s;
+	},
+
+	/**
+	 * Metadata string for an audio track of a CD
+	 * - FFmpeg writes them as ID3v2 for mp3, and as Vorbis Comments for ogg/opus/flac
+	 * - Any tags of the source file are dropped
+	 * @param {import('./cdinfos.js').cdinfos} cd
+	 * @param {Number} i Track index, 0 start
+	 * @param {Object} extra More tags to write e.g. {date:"1996", genre:"Game"}
+	 */
+	getTags(cd, i, extra = {})
+	{
+		let tr = cd.tracks[i];
+		let t = {
+			album: cd.CD_TITLE,
+			album_artist: cd.CD_ARTIST,
+			title: tr.title ?? `Track ${tr.noStr}`,
+			artist: tr.artist ?? cd.CD_ARTIST,
+			composer: tr.songwriter ?? cd.CD_SONGWRITER,
+			track: `${tr.no}/${cd.tracks.length}`,
+			date: cd.CD_DATE,
+			genre: cd.CD_GENRE,
+			...extra
+		};
+		let s = '-map_metadata|-1';
+		for (let k in t) {
+			// DEV: The ffmpeg arguments are separated with `|`
+			if (t[k]) s += `|-metadata|${k}=${t[k].replace(/\|/g, '/')}`;
+		}
+		return s;
+	},
+
+	// Audio filter to undo the pre-emphasis of CD tracks with `FLAGS PRE`
+	deemph : 'aemphasis=mode=reproduction:type=cd',
+
+	/** Encoders and predefined strings 
+	 * - The handler will auto CLAMP the bitrate for get() using {min} {max}
+	 * - get(bitrate) will return a full ffmpeg encoding string
+	 **/
+	enc : {
+
+		MP3 : {
+			// https://trac.ffmpeg.org/wiki/Encode/MP3
+			name: "Mp3", ext: ".mp3", pf: 'k Cbr', min: 32, max: 320,
+			get (b) { 
+				return `-c:a|libmp3lame|-b:a|${b}k|-id3v2_version|3`
+			}
+		},
+		
+		MP3V : {
+			// http://www.powyslug.org.uk/files/Converting_to_mp3_files_using_ffmpeg.pdf
+			name: "Mp3", ext: ".mp3", pf: 'k Vbr', min: 44, max: 256,
+			get (b) { 
+				// Gets an integer from 0-9. Reverses it, so 0 is highest Quality
+				return '-c:a|libmp3lame|-id3v2_version|3|-q:a|' +
+					TL.clamp(9 - Math.round(9 * (b - 44) / (212)), 0, 9);
+					// DEV : inlined maths, 212 = max-min
+			}
+		},
+
+		VORBIS: {
+			// https://wiki.hydrogenaud.io/index.php?title=Recommended_Ogg_Vorbis#Recommended_Encoder_Settings
+			// Docs say -1,-2 quality, but ffmpeg does not support it. Start with 0
+			// Supports Fractions in quality so -q 4.5 is valid (precision 2 tested OK)
+			name: "Vorbis", ext: ".ogg", pf: 'k Vbr', min: 64, max: 500,
+			get(b) {
+				let q = [64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 500], ind1 = 0;
+				// if(q.indexOf(b)>=0) found = q.indexOf(b); I could do this and save calculations but I don't care
+				while (b > q[ind1++]);
+				if (ind1 > 10) ind1 = 10;
+				let min = q[ind1 - 1];
+				let ratio = (b - min) / (q[ind1] - min);
+				return '-c:a|libvorbis|-q|' + TL.roundFloat(ind1 - 1 + ratio, 2);
+				// ^ Return a number from 0-10 depending on array position of bitrate
+			}
+		
+		},
+
+		OPUS: {
+			// https://ffmpeg.org/ffmpeg-codecs.html#libopus
+			name: "Opus", ext: ".opus", pf: 'k Vbr', min: 28, max: 500,
+			get(b) {
+				return `-c:a|libopus|-vbr|on|-compression_level|10|-b:a|${b}k`;
+			}
+		},
+
+		FLAC: {
+			name: "Flac Lossless", ext: ".flac",	// Lossless don't need the {min,max} fields
+			get() { return '-c:a|flac'; }
+		},
+
+		RAW: {
+			name: "CDDA Raw", ext:".bin",
+			get() { return '-c:a|pcm_s16le|-f|s16le|-ar|44100|-ac|2'; }
+		}
+	},
+
+	/**
+	 * Formatted ENC strings are like "MP3:56" | CODEC:KBPS 
+	 * 		CODEC : is the name of the field in {enc}
+	 * 		KBPS : is a value from CODEC.min -> CODEC.max | Will clamp |
+	 * @returns {{str:String, ext:String, desc:String, kbps:Number}} .str : the ffmpeg string | .ext : extension | .desc : description 
+	 * 		.kbps : the clamped bitrate, null for lossless codecs
+	 * Returns <null> for error
+	 */
+	getEnc:function(str)
+	{
+		if(!str) return null;
+		let S = str.toUpperCase().split(':');
+		
+		let e = this.enc[S[0]]; // Get codec object
+		if(!e) return null;	// Could not find
+
+		// Preliminary Object Build
+		let o = { ext:e.ext, desc:e.name, str:null, kbps:null }; 
+
+		let kb = parseInt(S[1]);
+		if(Number.isNaN(kb)) {
+			if(e.max) 			// Unless it is a Lossless codec
+				return null;	// Expecting a number. Error
+		}
+		
+		if (e.max) { 
+			kb = TL.clamp(kb, e.min, e.max);
+			o.desc += ` ${kb}${e.pf}`;
+			o.kbps = kb;
+		}
+
+		o.str = e.get(kb);
+		return o;
+	}// -------------------------;
+
+}// -------------------------------------------------------;
@@ -0,0 +1,173 @@
+/**
+ * journal
+ * --------
+ * Journal of a batch run, so that it can be resumed | Made for the 'cbae' tool
+ *
+ * - A JSON Lines file in the output folder, one line per event. Lines are appended
+ *   as they happen, so the journal is kept even if the process is killed
+ * - A CD is done when it has a "done" line, its source files did not change and its
+ *   output folder still exists. A "start" line without a "done" line is an unfinished CD
+ *
+ * e.g.
+ *	{"ev":"start","action":"e","input":"/cd/quake.cue","output":"/enc/Quake [e]","time":1700000000000}
+ *	{"ev":"done","action":"e","input":"/cd/quake.cue","output":"/enc/Quake [e]","time":..,
+ *		"sources":[{"file":"/cd/quake.cue","size":1204,"mtime":1690000000000}, ...],
+ *		"size0":650000000,"size1":90000000,"hashes":["6f0a..", ...]}
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import L from 'jlib/util/Log';
+import {getFile} from 'jlib/util/FsTools';
+import {cdinfos} from './cdinfos.js';
+
+
+// Filename of the journal, in the output folder
+export const JOURNAL_FILE = ".cbae-journal.jsonl";
+
+
+export class journal {
+
+	FILE = null;	// Full path of the journal file
+
+	/** The last "start" or "done" line of each input, by `action|input`
+	 * @type {Map<String,Object>} */
+	_last = new Map();
+
+	// The file does not end with a newline, the last write was cut
+	_cut = false;
+
+	/**
+	 * @param {String} dir Output folder. The journal file is created on the first write
+	 */
+	constructor(dir)
+	{
+		this.FILE = PATH.join(PATH.resolve(dir), JOURNAL_FILE);
+		if (FS.existsSync(this.FILE)) this.load();
+	}
+
+	/** Read the journal file. Broken lines (e.g. the process was killed while writing) are skipped */
+	load()
+	{
+		L.log(`journal.load() :: Loading "${this.FILE}"`);
+		this._last.clear();
+		let str = getFile(this.FILE) ?? "";
+		this._cut = str.length > 0 && !str.endsWith('\n');
+		for (let line of str.split(/\r?\n/))
+		{
+			let e;
+			try {
+				e = JSON.parse(line);
+			} catch (er) {
+				if (line.trim()) L.log(`journal.load() :: Skipping broken line "${line}"`);
+				continue;
+			}
+			let k = `${e.action}|${e.input}`;
+			// DEV: A failed CD is renamed to "(failed)" by the API, there is nothing to clean up
+			if (e.ev == "fail") this._last.delete(k);
+			else this._last.set(k, e);
+		}
+	}// -------------------------------------------------------;
+
+	/** Add a line to the journal file
+	 * DEV: Sync, so that the line is on disk before the work goes on */
+	_write(e)
+	{
+		try {
+			FS.appendFileSync(this.FILE, (this._cut ? '\n' : '') + JSON.stringify({...e, time: Date.now()}) + '\n');
+			this._cut = false;
+		} catch (er) {
+			L.error(`journal :: Cannot write "${this.FILE}"`, er);
+		}
+	}// -------------------------------------------------------;
+
+	/**
+	 * The files that make up a CD, the cue file and its track files
+	 * @param {String} input A cue file (or .ccd .gdi)
+	 * @returns {Array.<{file:String, size:Number, mtime:Number}>} null if the CD can't be loaded
+	 */
+	static sources(input)
+	{
+		let files;
+		try {
+			let cd = new cdinfos(input);
+			files = [cd.FILE_LOADED, ...new Set(cd.tracks.map((t, i) => cd.getTrackFilePath(i)))];
+		} catch (er) {
+			return null;
+		}
+		return files.map(f => {
+			let st = FS.statSync(f, {throwIfNoEntry: false});
+			return {file: f, size: st?.size ?? -1, mtime: st?.mtimeMs ?? -1};
+		});
+	}// -------------------------------------------------------;
+
+	/**
+	 * Get the "done" line of an input, if it is done and nothing changed since
+	 * @param {String} action e.g. "e"
+	 * @param {String} input Full path of the cue file
+	 * @returns {Object} null when it needs to run
+	 */
+	findDone(action, input)
+	{
+		let e = this._last.get(`${action}|${input}`);
+		if (e?.ev != "done") return null;
+		if (!FS.existsSync(e.output)) return null;
+		let now = journal.sources(input);
+		if (!now || JSON.stringify(now) != JSON.stringify(e.sources)) {
+			L.log(`journal :: Sources of "${input}" changed, it will run again`);
+			return null;
+		}
+		return e;
+	}// -------------------------------------------------------;
+
+	/**
+	 * Delete what an unfinished run of an input left behind, its output folder
+	 * - Also the folder renamed with "(ABORTED)" on a user abort
+	 * @returns {String[]} The folders that were deleted
+	 */
+	cleanup(action, input)
+	{
+		let e = this._last.get(`${action}|${input}`);
+		if (e?.ev != "start") return [];
+		let dirs = [e.output, `${e.output} (ABORTED)`].filter(d => FS.existsSync(d));
+		for (let d of dirs) {
+			L.log(`journal :: Deleting unfinished "${d}"`);
+			FS.rmSync(d, {recursive: true, force: true});
+		}
+		this._last.delete(`${action}|${input}`);
+		return dirs;
+	}// -------------------------------------------------------;
+
+	/** Work on an input started, in the `output` folder */
+	start(action, input, output)
+	{
+		let e = {ev: "start", action, input, output};
+		this._write(e);
+		this._last.set(`${action}|${input}`, e);
+	}// -------------------------------------------------------;
+
+	/**
+	 * An input is done
+	 * @param {Object} r The result of the API call, e.g. from `encodeCD()`
+	 */
+	done(action, input, r)
+	{
+		let e = {
+			ev: "done", action, input, output: r.output,
+			sources: journal.sources(input),
+			size0: r.size0 ?? r.size, size1: r.size1 ?? r.size,
+			hashes: r.cd.tracks.map(t => t.hash?.sha1 ?? t.orig?.sha1 ?? null)
+		};
+		if (r.sha1) e.sha1 = r.sha1;
+		this._write(e);
+		this._last.set(`${action}|${input}`, e);
+	}// -------------------------------------------------------;
+
+	/** An input failed, it will run again on resume */
+	fail(action, input, error)
+	{
+		this._write({ev: "fail", action, input, error});
+		this._last.delete(`${action}|${input}`);
+	}// -------------------------------------------------------;
+
+}// -------------------------------------------------------;
@@ -0,0 +1,121 @@
+/**
+ * rules
+ * --------
+ * Pick the audio codec for each track of a CD | Made for the 'cbae' tool
+ *
+ * A rule is a list of conditions followed by a codec string. The first rule that
+ * matches a track is used, tracks that match no rule use the default codec (-enc)
+ * Rules are separated with `;`, conditions with `&`
+ *
+ * e.g. "dur<5 FLAC; no=2 OPUS:128; title~silence|blank & dur>60 OPUS:32"
+ *
+ * Conditions
+ *	no=2,5,8-10		: Track numbers, single or ranges
+ *	dur<5			: Duration in seconds. Comparisons are < > <= >= =
+ *	title~text		: Track title matches, a regular expression. Case insensitive
+ *	loud<-40		: Mean volume in dB. Comparisons like `dur`. Digital silence is -91dB
+ *					  This is measured with FFmpeg, only when a rule asks for it
+ */
+
+import {FFMPEG} from './ffmpeg.js';
+
+
+// Conditions that compare numbers
+const COMPARE = {
+	'<'  : (a, b) => a < b,
+	'>'  : (a, b) => a > b,
+	'<=' : (a, b) => a <= b,
+	'>=' : (a, b) => a >= b,
+	'='  : (a, b) => a == b
+};
+
+
+/**
+ * Parse one condition e.g. "dur<5"
+ * @returns {{key:String, op:String, value:*}}
+ * @throws {String}
+ */
+function parseCondition(str)
+{
+	let res = /^(no|dur|title|loud)\s*(<=|>=|<|>|=|~)\s*(.+)$/i.exec(str);
+	if (!res) throw `Unknown rule condition "${str}"`;
+	let key = res[1].toLowerCase(), op = res[2], v = res[3].trim();
+
+	if (key == 'title') {
+		if (op != '~') throw `Use "title~text" for titles, in "${str}"`;
+		try {
+			return {key, op, value: new RegExp(v, 'i')};
+		} catch (e) {
+			throw `Invalid regular expression in "${str}"`;
+		}
+	}
+
+	if (key == 'no') {
+		if (op != '=') throw `Use "no=2,5-8" for track numbers, in "${str}"`;
+		let value = v.split(',').map(s => {
+			let r = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(s);
+			if (!r) throw `Invalid track numbers in "${str}"`;
+			return [parseInt(r[1]), parseInt(r[2] ?? r[1])];
+		});
+		return {key, op, value};
+	}
+
+	if (op == '~') throw `Use a comparison (< > <= >= =) in "${str}"`;
+	let value = Number(v);
+	if (v == '' || Number.isNaN(value)) throw `Expected a number in "${str}"`;
+	return {key, op, value};
+}// -------------------------------------------------------;
+
+
+/**
+ * Parse encoder rules
+ * @param {String|String[]} str Rules separated with `;` or an Array of rules
+ * @returns {Array.<{str:String, conds:Array, enc:{str:String, ext:String, desc:String}}>}
+ * 		enc : From `FFMPEG.getEnc()`. Empty Array for no rules
+ * @throws {String} Errors
+ */
+export function parseRules(str)
+{
+	if (!str) return [];
+	let list = Array.isArray(str) ? str : String(str).split(';');
+	let rules = [];
+	for (let r of list.map(s => s.trim()).filter(Boolean))
+	{
+		// The codec is the last word, everything before it are the conditions
+		let res = /^(.+?)\s+(\S+)$/.exec(r);
+		if (!res) throw `Rule "${r}" needs conditions and a codec | e.g. "dur<5 FLAC"`;
+		let enc = FFMPEG.getEnc(res[2]);
+		if (!enc) throw `Rule "${r}" : Encoding String Error.`;
+		let conds = res[1].split('&').map(c => parseCondition(c.trim()));
+		rules.push({str: r, conds, enc});
+	}
+	return rules;
+}// -------------------------------------------------------;
+
+
+/** Rules need the loudness of the tracks to be measured */
+export function needsLoudness(rules)
+{
+	return rules.some(r => r.conds.some(c => c.key == 'loud'));
+}// -------------------------------------------------------;
+
+
+/**
+ * Get the codec of the first rule that matches a track
+ * @param {Array} rules From `parseRules()`
+ * @param {import('./cdinfos.js').cdtrack} tr An audio track
+ * @param {Number} loud Mean volume of the track in dB, if measured
+ * @returns {{str:String, ext:String, desc:String}} null for no match
+ */
+export function matchRules(rules, tr, loud = null)
+{
+	let test = (c) => {
+		switch (c.key) {
+			case 'no': return c.value.some(([a, b]) => tr.no >= a && tr.no <= b);
+			case 'dur': return COMPARE[c.op](tr.byteSize / 176400, c.value);
+			case 'title': return c.value.test(tr.title ?? '');
+			case 'loud': return loud != null && COMPARE[c.op](loud, c.value);
+		}
+	};
+	return rules.find(r => r.conds.every(test))?.enc ?? null;
+}// -------------------------------------------------------;
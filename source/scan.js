@@ -0,0 +1,100 @@
+/**
+ * scan
+ * --------
+ * Find the CD images in folders | Made for the 'cbae' tool
+ *
+ * - Walks the subfolders too, in sorted order
+ * - Cue files that CBAE generated (encoded, restored) are skipped, they are outputs of earlier runs
+ *   Merged images (`m`, `r -single`) are plain cue files, they are found like any other
+ *   Also zip files with such a cue file in them
+ * - An image with more than one descriptor (e.g. "game.cue" and "game.ccd") is found once,
+ *   the first of `SUPPORTED_INPUTS` wins
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import L from 'jlib/util/Log';
+import {SUPPORTED_INPUTS, findZipCue} from './cdinfos.js';
+import {zipfile} from './zip.js';
+
+
+/**
+ * Check a cue file for the lines that CBAE writes
+ * e.g. "REM | Converted with CBAE v1.2.1 - Cue/Bin Audio Encoder" in the header of encoded CDs
+ * or "REM CBAE BYTES 705600 ..." in the tracks, restored CDs only have those
+ * - For a zip file, the cue file in it is checked
+ * @param {String} file
+ */
+export function isCBAECue(file)
+{
+	let fd, buf = Buffer.alloc(4096);
+	try {
+		if (PATH.extname(file).toLowerCase() == ".zip") {
+			let zip = new zipfile(file);
+			let cue = findZipCue(zip);
+			buf = cue ? zip.read(cue).subarray(0, buf.length) : Buffer.alloc(0);
+		} else {
+			fd = FS.openSync(file, 'r');
+			buf = buf.subarray(0, FS.readSync(fd, buf, 0, buf.length, 0));
+		}
+	} catch (er) {
+		return false;
+	} finally {
+		if (fd !== undefined) FS.closeSync(fd);
+	}
+	return /^REM \|.*CBAE v\S+|^\s*REM CBAE /m.test(buf.toString());
+}// -------------------------------------------------------;
+
+
+/** A zip file with a cue file (or .ccd .gdi) in it. Zip files that are still being written are not */
+function isZipCD(file)
+{
+	try {
+		return findZipCue(new zipfile(file)) != null;
+	} catch (er) {
+		return false;
+	}
+}// -------------------------------------------------------;
+
+
+/**
+ * Find the CD images in a folder and all its subfolders
+ * @param {String} dir
+ * @returns {String[]} Full paths of the .cue .ccd .gdi .zip files
+ */
+export function findCDs(dir)
+{
+	let out = [];
+	let entries;
+	try {
+		entries = FS.readdirSync(dir, {withFileTypes: true});
+	} catch (er) {
+		L.error(`findCDs() :: Could not read "${dir}"`);
+		return out;
+	}
+	entries.sort((a, b) => a.name.localeCompare(b.name));
+
+	// Images in this folder, by their name without the extension
+	let images = new Map();
+	for (let f of entries.filter(f => f.isFile()))
+	{
+		let {name, ext} = PATH.parse(f.name);
+		ext = ext.toLowerCase();
+		let pri = SUPPORTED_INPUTS.indexOf(ext);
+		if (pri < 0) continue;
+		let file = PATH.join(dir, f.name);
+		if (ext == ".zip" && !isZipCD(file)) continue;
+		if ((ext == ".cue" || ext == ".zip") && isCBAECue(file)) {
+			L.log(`findCDs() :: Skipping "${file}", generated by CBAE`);
+			continue;
+		}
+		let k = name.toLowerCase();
+		if (!images.has(k) || images.get(k).pri > pri) images.set(k, {file, pri});
+	}
+	out.push(...[...images.values()].map(i => i.file));
+
+	for (let f of entries.filter(f => f.isDirectory())) {
+		out.push(...findCDs(PATH.join(dir, f.name)));
+	}
+	return out;
+}// -------------------------------------------------------;
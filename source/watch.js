@@ -0,0 +1,160 @@
+/**
+ * watch
+ * --------
+ * Watch a folder for new CD images | Made for the 'cbae' tool
+ *
+ * - The folder is scanned every few seconds, with its subfolders. Polling works the same
+ *   on local disks and network shares, where file events are not reliable
+ * - A CD is ready when its cue file and all the files it points to did not change
+ *   for some time. A file that is still being copied keeps changing its size and date
+ * - A cue file that can't be loaded yet (e.g. its track files are not there) is also
+ *   handed over once it is stable, so that it fails with the real error. It is tried again
+ *   when its folder changes
+ *
+ * e.g.
+ *	let w = new watcher("/inbox", 10);
+ *	for (let f of w.poll()) { ... w.handled(f); }
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import L from 'jlib/util/Log';
+import {cdinfos} from './cdinfos.js';
+import {findCDs} from './scan.js';
+
+
+// Filename of the running log, in the output folder
+export const WATCH_LOG = "cbae-watch.log";
+
+// Default seconds that the files of a CD must not change
+export const WATCH_SETTLE = 10;
+
+
+export class watcher {
+
+	DIR = null;		// Full path of the watched folder
+	SETTLE = 0;		// Milliseconds that the files of a CD must not change
+
+	/** Last state of each CD that was found, by full path
+	 * @type {Map<String,{snap:String, since:Number}>} */
+	_seen = new Map();
+
+	/** The state of each CD when it was handled, it is ready again only if it changes
+	 * @type {Map<String,String>} */
+	_handled = new Map();
+
+	/**
+	 * @param {String} dir Folder to watch
+	 * @param {Number} settle Seconds that the files of a CD must not change
+	 */
+	constructor(dir, settle)
+	{
+		this.DIR = PATH.resolve(dir);
+		this.SETTLE = settle * 1000;
+	}
+
+	/**
+	 * The files that make up a CD, the cue file, its track files and the CDTEXTFILE
+	 * @param {String} input A cue file (or .ccd .gdi)
+	 * @returns {String[]} null if the CD can't be loaded
+	 */
+	static files(input)
+	{
+		try {
+			let cd = new cdinfos(input);
+			if (cd.ZIP) return [cd.FILE_LOADED];
+			let files = [cd.FILE_LOADED, ...cd.tracks.map((t, i) => cd.getTrackFilePath(i))];
+			if (cd.CD_TEXTFILE) files.push(PATH.resolve(cd.FILE_DIR, cd.CD_TEXTFILE));
+			return [...new Set(files)];
+		} catch (er) {
+			return null;
+		}
+	}// -------------------------------------------------------;
+
+	/**
+	 * The state of the files of a CD, as a string to compare
+	 * DEV: When the CD can't be loaded, the folder date is there to see new files
+	 */
+	static snapshot(input)
+	{
+		let files = watcher.files(input) ?? [input, PATH.dirname(input)];
+		return files.map(f => {
+			let st = FS.statSync(f, {throwIfNoEntry: false});
+			return `${f}|${st?.size}|${st?.mtimeMs}`;
+		}).join('\n');
+	}// -------------------------------------------------------;
+
+	/**
+	 * Scan the folder
+	 * @returns {String[]} Full paths of the CDs that are ready to be processed
+	 */
+	poll()
+	{
+		let now = Date.now();
+		let ready = [];
+		let found = findCDs(this.DIR);
+		for (let m of [this._seen, this._handled]) {
+			for (let k of m.keys()) if (!found.includes(k)) m.delete(k);
+		}
+		for (let f of found)
+		{
+			let snap = watcher.snapshot(f);
+			if (this._handled.get(f) === snap) continue;
+			let s = this._seen.get(f);
+			if (s?.snap !== snap) {
+				if (!s) L.log(`watcher :: Found "${f}"`);
+				this._seen.set(f, {snap, since: now});
+				continue;
+			}
+			if (now - s.since >= this.SETTLE) ready.push(f);
+		}
+		return ready;
+	}// -------------------------------------------------------;
+
+	/** A CD was processed, it is not ready again unless its files change */
+	handled(input)
+	{
+		let s = this._seen.get(input);
+		if (s) this._handled.set(input, s.snap);
+	}// -------------------------------------------------------;
+
+	/**
+	 * Move the files of a CD to another folder, in the same subfolder as in the watched folder
+	 * - Files that can't be moved are logged
+	 * @param {String} input Full path of a CD in the watched folder
+	 * @param {String} dir
+	 * @returns {String} The new folder of the CD
+	 * @throws {String} If the folder can't be created
+	 */
+	moveTo(input, dir)
+	{
+		let to = PATH.join(PATH.resolve(dir), PATH.relative(this.DIR, PATH.dirname(input)));
+		try {
+			FS.mkdirSync(to, {recursive: true});
+		} catch (er) {
+			throw `Cannot create : "${to}"`;
+		}
+		// DEV: The files of a CD that can't be loaded are not known, only the cue file is moved
+		for (let f of watcher.files(input) ?? [input])
+		{
+			let t = PATH.join(to, PATH.relative(PATH.dirname(input), f));
+			try {
+				FS.mkdirSync(PATH.dirname(t), {recursive: true});
+				try {
+					FS.renameSync(f, t);
+				} catch (er) {
+					if (er.code != 'EXDEV') throw er;
+					// Another disk, rename does not work
+					FS.copyFileSync(f, t);
+					FS.unlinkSync(f);
+				}
+			} catch (er) {
+				L.error(`watcher :: Cannot move "${f}" to "${t}"`, er);
+			}
+		}
+		this._seen.delete(input);
+		this._handled.delete(input);
+		return to;
+	}// -------------------------------------------------------;
+
+}// -------------------------------------------------------;
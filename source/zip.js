@@ -0,0 +1,405 @@
+/**
+ * zip
+ * --------
+ * Read and write ZIP archives with the zlib of Node | Made for the 'cbae' tool
+ *
+ * - Reading : Stored and deflated entries, also ZIP64 archives. Entries are streamed
+ *   from the archive, nothing is extracted to disk
+ * - Writing : Pack a folder into a new archive, stored or deflated. No ZIP64, every file
+ *   and the archive must be under 4GB. That is plenty for a CD
+ *
+ * Resources:
+ *  + https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+
+import * as PATH from 'node:path';
+import * as FS from 'node:fs';
+import * as ZLIB from 'node:zlib';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import L from 'jlib/util/Log';
+
+
+// Signatures of the zip records
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const SIG_END64 = 0x06064b50;
+const SIG_END64_LOC = 0x07064b50;
+
+// Compression methods that can be read
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flags. Bit 0: Encrypted | Bit 11: The name is UTF-8
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+// Files that are read whole (cue sheets, CD-TEXT) must be smaller than this
+const MAX_READ = 0x100000;
+
+// -------------------------------------------------------;
+
+// CRC32 lookup table, built on first use
+var CRC_TABLE = null;
+
+/** Update a CRC32 value with a buffer. Start with crc=0 */
+export function crc32(buf, crc = 0)
+{
+	if (!CRC_TABLE) {
+		CRC_TABLE = new Int32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			CRC_TABLE[n] = c;
+		}
+	}
+	crc = ~crc;
+	for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+	return (~crc) >>> 0;
+}// -- end fn --
+
+
+
+/** Date to MS-DOS {time, date} as stored in zip files */
+function dosTime(d)
+{
+	return {
+		time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+		date: (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+	};
+}// -- end fn --
+
+
+
+/**
+ * Inflate an entry and get a part of it
+ * DEV: Deflated data can't be read from the middle, each part starts inflating from
+ * 		the start of the entry. Images with one file per track only read each file once
+ * @yields {Buffer}
+ * @throws {String} Errors
+ */
+async function* inflatePart(zip, en, start, len)
+{
+	let str = FS.createReadStream(zip.FILE, {start: en.start, end: en.start + en.csize - 1});
+	let inf = ZLIB.createInflateRaw();
+	str.on('error', (er) => inf.destroy(er));
+	str.pipe(inf);
+	let pos = 0, end = start + len;
+	try {
+		for await (let c of inf) {
+			let a = Math.max(start - pos, 0), b = Math.min(end - pos, c.length);
+			pos += c.length;
+			if (b > a) yield c.subarray(a, b);
+			if (pos >= end) break;
+		}
+	} catch (er) {
+		throw `Cannot read "${en.name}" in '${zip.FILE}'`;
+	} finally {
+		str.destroy();
+		inf.destroy();
+	}
+	if (pos < end) throw `"${en.name}" in '${zip.FILE}' is shorter than expected`;
+}// -- end fn --
+
+
+
+/**
+ * A zip file, opened for reading
+ * e.g.
+ *	let z = new zipfile("quake.zip");
+ *	z.stream("quake.bin", 0, 2352).pipe(...);
+ */
+export class zipfile {
+
+	FILE = null;	// Full path of the zip file
+
+	/** All the file entries, by name. Folders are not kept
+	 * @type {Map<String,{name:String, method:Number, flags:Number, crc:Number, csize:Number, size:Number, offset:Number, start:Number}>}
+	 * 		offset : Of the local header | start : Of the data, read on first use */
+	entries = new Map();
+
+	/**
+	 * Read the central directory of a zip file
+	 * @param {String} file
+	 * @throws {String} Errors
+	 */
+	constructor(file)
+	{
+		this.FILE = PATH.resolve(file);
+		let fd;
+		try {
+			fd = FS.openSync(this.FILE, 'r');
+		} catch (er) {
+			throw `Cannot load file "${file}"`;
+		}
+		try {
+			this._readDir(fd);
+		} finally {
+			FS.closeSync(fd);
+		}
+		L.log(`zipfile :: "${this.FILE}" | Entries (${this.entries.size})`);
+	}
+
+	/** Read bytes at a position, or throw */
+	_read(fd, pos, len)
+	{
+		let b = Buffer.alloc(len);
+		if (FS.readSync(fd, b, 0, len, pos) != len) throw `'${this.FILE}' is not a valid zip file`;
+		return b;
+	}// -------------------------------------------------------;
+
+	_readDir(fd)
+	{
+		// The end record is the last thing in the file, before a comment of up to 64KB
+		let size = FS.fstatSync(fd).size;
+		let tl = Math.min(size, 22 + 0xFFFF);
+		let tail = this._read(fd, size - tl, tl);
+		let e = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+		if (e < 0 || e + 22 > tl) throw `'${this.FILE}' is not a valid zip file`;
+
+		let count = tail.readUInt16LE(e + 10);
+		let dirSize = tail.readUInt32LE(e + 12);
+		let dirPos = tail.readUInt32LE(e + 16);
+
+		// ZIP64, the real values are in another end record, found with the locator before this one
+		if (count == 0xFFFF || dirSize == 0xFFFFFFFF || dirPos == 0xFFFFFFFF) {
+			if (e < 20 || tail.readUInt32LE(e - 20) != SIG_END64_LOC) throw `'${this.FILE}' is not a valid zip file`;
+			let z = this._read(fd, Number(tail.readBigUInt64LE(e - 12)), 56);
+			if (z.readUInt32LE(0) != SIG_END64) throw `'${this.FILE}' is not a valid zip file`;
+			count = Number(z.readBigUInt64LE(32));
+			dirSize = Number(z.readBigUInt64LE(40));
+			dirPos = Number(z.readBigUInt64LE(48));
+		}
+
+		let d = this._read(fd, dirPos, dirSize);
+		for (let i = 0, p = 0; i < count; i++)
+		{
+			if (p + 46 > d.length || d.readUInt32LE(p) != SIG_CENTRAL) throw `'${this.FILE}' is not a valid zip file`;
+			let flags = d.readUInt16LE(p + 8);
+			let nl = d.readUInt16LE(p + 28), xl = d.readUInt16LE(p + 30), cl = d.readUInt16LE(p + 32);
+			let en = {
+				name: d.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', p + 46, p + 46 + nl).replace(/\\/g, '/'),
+				method: d.readUInt16LE(p + 10),
+				flags,
+				crc: d.readUInt32LE(p + 16),
+				csize: d.readUInt32LE(p + 20),
+				size: d.readUInt32LE(p + 24),
+				offset: d.readUInt32LE(p + 42),
+				start: null
+			};
+			// ZIP64 extra field, it has the values that did not fit, in this order
+			for (let x = p + 46 + nl, xe = x + xl; x + 4 <= xe; x += 4 + d.readUInt16LE(x + 2)) {
+				if (d.readUInt16LE(x) != 0x0001) continue;
+				let v = x + 4;
+				for (let k of ['size', 'csize', 'offset']) {
+					if (en[k] != 0xFFFFFFFF) continue;
+					en[k] = Number(d.readBigUInt64LE(v));
+					v += 8;
+				}
+			}
+			if (!en.name.endsWith('/')) this.entries.set(en.name, en);
+			p += 46 + nl + xl + cl;
+		}
+	}// -------------------------------------------------------;
+
+	/**
+	 * Get an entry by name. Names are matched without case, if there is no exact match
+	 * (cue sheets often have the wrong case, Windows does not care)
+	 * @param {String} name Path in the zip, e.g. "Quake/quake.bin"
+	 * @returns {Object} null if not found
+	 */
+	get(name)
+	{
+		name = name.replace(/\\/g, '/');
+		if (this.entries.has(name)) return this.entries.get(name);
+		let low = name.toLowerCase();
+		for (let [k, en] of this.entries) if (k.toLowerCase() == low) return en;
+		return null;
+	}// -------------------------------------------------------;
+
+	/**
+	 * Get an entry by name, that can be read
+	 * @throws {String} If it is missing, encrypted or uses another compression
+	 */
+	entry(name)
+	{
+		let en = this.get(name);
+		if (!en) throw `File "${name}" does not exist in '${PATH.basename(this.FILE)}'`;
+		if (en.flags & FLAG_ENCRYPTED) throw `File "${name}" in '${PATH.basename(this.FILE)}' is encrypted`;
+		if (en.method != METHOD_STORE && en.method != METHOD_DEFLATE) {
+			throw `File "${name}" in '${PATH.basename(this.FILE)}' uses compression method (${en.method}), only Store and Deflate are supported`;
+		}
+		if (en.start == null) {
+			let fd = FS.openSync(this.FILE, 'r');
+			try {
+				let h = this._read(fd, en.offset, 30);
+				if (h.readUInt32LE(0) != SIG_LOCAL) throw `'${this.FILE}' is not a valid zip file`;
+				en.start = en.offset + 30 + h.readUInt16LE(26) + h.readUInt16LE(28);
+			} finally {
+				FS.closeSync(fd);
+			}
+		}
+		return en;
+	}// -------------------------------------------------------;
+
+	/**
+	 * Read a small file from the zip, e.g. a cue sheet
+	 * @returns {Buffer}
+	 * @throws {String} Errors
+	 */
+	read(name)
+	{
+		let en = this.entry(name);
+		if (en.size > MAX_READ) throw `File "${name}" in '${PATH.basename(this.FILE)}' is too big to be read whole`;
+		let fd = FS.openSync(this.FILE, 'r');
+		let b;
+		try {
+			b = this._read(fd, en.start, en.csize);
+		} finally {
+			FS.closeSync(fd);
+		}
+		try {
+			if (en.method == METHOD_DEFLATE) b = ZLIB.inflateRawSync(b);
+		} catch (er) {
+			throw `Cannot read "${name}" in '${this.FILE}'`;
+		}
+		return b;
+	}// -------------------------------------------------------;
+
+	/**
+	 * Readable stream with the bytes of a file in the zip, or a part of it
+	 * @param {String} name
+	 * @param {Number} start Where in the file to start
+	 * @param {Number} len How many bytes, (0) for the rest of the file
+	 * @throws {String} If the entry can't be read
+	 */
+	stream(name, start = 0, len = 0)
+	{
+		let en = this.entry(name);
+		if (len == 0) len = en.size - start;
+		if (en.method == METHOD_STORE) {
+			return FS.createReadStream(this.FILE, {start: en.start + start, end: en.start + start + len - 1});
+		}
+		return Readable.from(inflatePart(this, en, start, len), {objectMode: false});
+	}// -------------------------------------------------------;
+
+}// -------------------------------------------------------;
+
+
+
+/**
+ * Promise, pack all the files of a folder into a new zip file . @throws
+ * - Subfolders are kept, the files are added in sorted order
+ * @param {String} dir
+ * @param {String} dest The zip file to create, it must not exist
+ * @param {Boolean} deflate Compress the files, or store them as they are
+ * @returns {Promise<Number>} The size of the zip file
+ */
+export async function zipFolder(dir, dest, deflate = false)
+{
+	let files = [];
+	let walk = (d) => {
+		for (let f of FS.readdirSync(PATH.join(dir, d), {withFileTypes: true}).sort((a, b) => a.name.localeCompare(b.name))) {
+			if (f.isDirectory()) walk(PATH.posix.join(d, f.name));
+			else if (f.isFile()) files.push(PATH.posix.join(d, f.name));
+		}
+	};
+
+	let fd;
+	try {
+		walk('');
+		fd = FS.openSync(dest, 'wx');
+	} catch (er) {
+		throw `Cannot create : "${dest}"`;
+	}
+
+	L.log(`zipFolder() :: "${dir}" -> "${dest}" | Files (${files.length}) | ${deflate ? 'Deflate' : 'Store'}`);
+	let pos = 0;
+	let central = [];
+	const write = (b) => {
+		FS.writeSync(fd, b, 0, b.length, pos);
+		pos += b.length;
+	};
+
+	try {
+		for (let f of files)
+		{
+			let full = PATH.join(dir, f);
+			let name = Buffer.from(f, 'utf8');
+			let {time, date} = dosTime(FS.statSync(full).mtime);
+			let method = deflate ? METHOD_DEFLATE : METHOD_STORE;
+
+			// Local header, the sizes and CRC are written after the data
+			let h = Buffer.alloc(30);
+			h.writeUInt32LE(SIG_LOCAL, 0);
+			h.writeUInt16LE(20, 4);
+			h.writeUInt16LE(FLAG_UTF8, 6);
+			h.writeUInt16LE(method, 8);
+			h.writeUInt16LE(time, 10);
+			h.writeUInt16LE(date, 12);
+			h.writeUInt16LE(name.length, 26);
+			let offset = pos;
+			write(h);
+			write(name);
+
+			let crc = 0, size = 0, start = pos;
+			await pipeline(
+				FS.createReadStream(full),
+				async function* (s) {
+					for await (let c of s) {
+						crc = crc32(c, crc);
+						size += c.length;
+						yield c;
+					}
+				},
+				...(deflate ? [ZLIB.createDeflateRaw()] : []),
+				async function (s) {
+					for await (let c of s) write(c);
+				}
+			);
+			let csize = pos - start;
+			if (size > 0xFFFFFFFF || pos > 0xFFFFFFFF) throw `Cannot zip "${f}", zip files over 4GB are not supported`;
+
+			let s = Buffer.alloc(12);
+			s.writeUInt32LE(crc, 0);
+			s.writeUInt32LE(csize, 4);
+			s.writeUInt32LE(size, 8);
+			FS.writeSync(fd, s, 0, s.length, offset + 14);
+
+			let c = Buffer.alloc(46);
+			c.writeUInt32LE(SIG_CENTRAL, 0);
+			c.writeUInt16LE(20, 4);
+			c.writeUInt16LE(20, 6);
+			c.writeUInt16LE(FLAG_UTF8, 8);
+			c.writeUInt16LE(method, 10);
+			c.writeUInt16LE(time, 12);
+			c.writeUInt16LE(date, 14);
+			s.copy(c, 16);
+			c.writeUInt16LE(name.length, 28);
+			c.writeUInt32LE(offset, 42);
+			central.push(c, name);
+		}
+
+		let dirPos = pos;
+		for (let b of central) write(b);
+		if (files.length > 0xFFFF || pos > 0xFFFFFFFF) throw `Cannot zip "${dir}", zip files over 4GB are not supported`;
+
+		let e = Buffer.alloc(22);
+		e.writeUInt32LE(SIG_END, 0);
+		e.writeUInt16LE(files.length, 8);
+		e.writeUInt16LE(files.length, 10);
+		e.writeUInt32LE(pos - dirPos, 12);
+		e.writeUInt32LE(dirPos, 16);
+		write(e);
+
+	} catch (er) {
+		FS.closeSync(fd);
+		FS.rmSync(dest, {force: true});
+		if (typeof (er) == 'string') throw er;
+		throw `Cannot write file '${dest}'`;
+	}
+
+	FS.closeSync(fd);
+	return pos;
+}// -- end fn --